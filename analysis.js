@@ -1,331 +1,353 @@
-// analysis.js (AU-only, robust JSON + heuristics; with CDSS exemption + soft floors)
-import { generateWithGemini } from "./gemini.js";
+// analysis.js (rule-pack scoped prompt, robust JSON + pack heuristics; with CDSS exemption + soft floors)
+import fs from "fs";
+import { generate, resolveProvider } from "./providers.js";
 import config from "./config.js";
-
-/* ---------------- AU-only prompt ---------------- */
-const ANALYSIS_PROMPT = `
-You are a compliance analyst focused on AUSTRALIA-ONLY obligations.
-Assess against: Australian Privacy Principles (APP 1/5/8/11/12/13), ACSC Essential Eight (signals only),
-and TGA Clinical Decision Support Software exemption conditions.
+import { buildIndex } from "./docindex.js";
+import { verifyEvidence } from "./verify.js";
+import { consolidateFindings } from "./consolidate.js";
+import { validateFindings } from "./schema.js";
+import { scoreFindings, resolveProfile } from "./scoring.js";
+import { resolvePacks, packThemes, packVersions, themeLabels, promptScope, checklistFor, runRules, fillGaps } from "./rulepacks.js";
+import { classifyDocument } from "./doctype.js";
+import { detectUnfairTerms, mergeUnfairTerms } from "./unfairterms.js";
+import { extractDataFlows, dataFlowFindings } from "./dataflows.js";
+import { redactText, resolveRedaction, restorePlaceholders } from "./redact.js";
+import { chunkIndex, estimateTokens } from "./chunking.js";
+import { cacheKey, readCache, writeCache } from "./cache.js";
+import { scoredFindings, triageSummary } from "./triage.js";
+
+// Cached reports and chunk responses from an older release are not reused
+const PACKAGE_VERSION = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")).version;
+
+/* ---------------- Prompt (jurisdiction scope comes from the rule packs) ---------------- */
+function analysisPrompt(packs) {
+  const { focus, assess, guidance } = promptScope(packs);
+  return `
+You are a compliance analyst focused on ${focus}-ONLY obligations.
+Assess against: ${assess}.
 
 Return ONLY a JSON array of findings. Each finding:
 {id, theme, title, status, severity, evidence, impact, recommendation, references, confidence}
 
 Guidance:
-- theme ∈ {"privacy_app","security_e8","contract_fairness","vendor_sharing","cdss_exemption"}
+- theme ∈ {${packThemes(packs).map(t => JSON.stringify(t)).join(",")}}
+- status ∈ {"disclosed","partial","undisclosed","non_compliant"}; severity ∈ {"high","medium","low"}
+- references is an array of strings; confidence is a number between 0 and 1
 - If a control/notice is MISSING or NOT DISCLOSED, still create a finding (status="undisclosed", severity="medium", evidence="not found")
 - Cite exact lines in 'evidence' using the format: [LINE XXX] <snippet> when available. The line numbers are prepended to each line in the document chunk for easy RAG-like retrieval and accurate citation.
-- Keep recommendations AU-ready and actionable; do not include owners or ETAs
+- Keep recommendations actionable; do not include owners or ETAs
+${guidance.map(g => `- ${g}`).join("\n")}
 - Prefer 6–15 total findings for typical policies
 `;
+}
+
+// Only added when something was redacted, so prompts for clean documents are unchanged
+const REDACTION_NOTE = `- Tokens like <EMAIL_1>, <PHONE_2> or <ABN_1> are redacted values: quote them exactly as written and do not raise findings about the redaction itself
+`;
+
+// Tells the model what kind of document it is reading and which type-specific items to check
+function documentTypeNote(docType, packs) {
+  if (docType.type === "other") return "Unclassified document: apply the general checks.";
+  const checklist = checklistFor(packs, docType);
+  return [
+    `${docType.label}${docType.type === "mixed" ? ` (${docType.components.join(" + ")})` : ""}.`,
+    checklist.length ? `Check specifically: ${checklist.join("; ")}.` : "",
+    "Only raise findings for obligations that apply to this document type (e.g. a DPA or terms of service need not describe an APP 12 access process)."
+  ].filter(Boolean).join("\n");
+}
 
 /* ---------------- Public entry ---------------- */
-export async function analyzeText(rawText) {
-  const { maxTokensPerChunk, overlapChars } = config;
-  // NOTE: The implementation of chunkByChar has been updated to include line numbers for RAG-like citation.
-  const chunks = chunkByChar(rawText, maxTokensPerChunk, overlapChars);
+/**
+ * Everything besides the document that decides what analyzeText returns for it: provider,
+ * model, scoring profile, rule pack versions, prompt text, chunking and redaction settings.
+ * Combined with the document hash this keys the stored-report cache.
+ */
+export function analysisFingerprint({ provider, model, profile, packs, docType, redact } = {}) {
+  const rulePacks = resolvePacks(packs);
+  const { maxTokensPerChunk, overlapTokens, maxTokensPerDocument, maxRepairAttempts } = config;
+  return cacheKey({
+    version: PACKAGE_VERSION,
+    provider: resolveProvider(provider),
+    model: model || null,
+    profile: resolveProfile(profile),
+    rule_packs: packVersions(rulePacks),
+    doc_type: docType || null,
+    redaction: resolveRedaction(redact),
+    prompt: analysisPrompt(rulePacks) + REDACTION_NOTE,
+    chunking: { maxTokensPerChunk, overlapTokens, maxTokensPerDocument, maxRepairAttempts }
+  });
+}
 
-  let findings = [];
-  for (let i = 0; i < chunks.length; i++) {
+/**
+ * Analyse extracted document text and build the report.
+ * `onProgress(type, data)` receives classified / chunk_sent / chunk_retry / chunk_parsed /
+ * heuristics / scoring events (chunk_parsed carries that chunk's validated findings; chunks
+ * run config.chunkConcurrency at a time, so they may finish out of order);
+ * aborting `signal` stops before the next model call. `redact` overrides config.redaction
+ * (see resolveRedaction); placeholders are mapped back before the report is returned.
+ * `cache: false` re-queries every chunk instead of reusing cached chunk responses.
+ */
+export async function analyzeText(rawText, { provider, model, profile, packs, docType, redact, cache = true, sourceType = "document", onProgress = () => {}, signal } = {}) {
+  const { maxTokensPerChunk, overlapTokens } = config;
+  const llm = { provider: resolveProvider(provider), model: model || null };
+  // Chunk responses are keyed on what was asked for; replayed fixtures need no second cache
+  const cacheScope = !cache || llm.provider === "replay" ? null : { provider: llm.provider, model: llm.model };
+  const scoringProfile = resolveProfile(profile);   // fail fast on unknown ids, before any model calls
+  const rulePacks = resolvePacks(packs);
+  const themes = packThemes(rulePacks);
+  // PII and secrets become stable placeholders before chunking: only redacted text reaches the model
+  const redaction = redactText(rawText, resolveRedaction(redact));
+  const instructions = analysisPrompt(rulePacks) + (redaction.summary.total ? REDACTION_NOTE : "");
+  const scope = promptScope(rulePacks).scope;
+  // Document type picks the checklist and re-weights themes; an explicit docType overrides the classifier
+  const documentType = classifyDocument(rawText, { override: docType });
+  const typeNote = documentTypeNote(documentType, rulePacks);
+  onProgress("classified", { doc_type: documentType.type, components: documentType.components, confidence: documentType.confidence });
+  // Line numbers in the chunks come from the index, which also knows each line's page and clause
+  const index = buildIndex(redaction.text);
+  const chunks = chunkIndex(index, { maxTokens: maxTokensPerChunk, overlapTokens });
+  const budget = { limit: config.maxTokensPerDocument, used: 0, calls: 0, retries: 0 };
+
+  let done = 0;
+  const results = await mapLimit(chunks, config.chunkConcurrency, async (chunk, i) => {
     const prompt = [
       "<<INSTRUCTIONS>>",
-      ANALYSIS_PROMPT,
-      "<<SCOPE>> AU only (APPs + Essential Eight + CDSS exemption signals)",
+      instructions,
+      `<<SCOPE>> ${scope}`,
+      "<<DOCUMENT_TYPE>>",
+      typeNote,
       "<<DOCUMENT_CHUNK>>",
-      chunks[i]
+      chunk.text
     ].join("\n");
 
-    const { text } = await generateWithGemini(prompt);
-    const parsed = parseGeminiJson(text);
-    if (Array.isArray(parsed)) findings.push(...parsed);
-  }
+    throwIfAborted(signal);
+    onProgress("chunk_sent", { chunk: i + 1, total: chunks.length });
+    const onRetry = (r) => { budget.retries++; onProgress("chunk_retry", { chunk: i + 1, ...r }); };
+    const result = await cachedChunk(prompt, chunk, cacheScope, () => runChunk(prompt, llm, themes, { signal, budget, onRetry }));
+    onProgress("chunk_parsed", { chunk: i + 1, total: chunks.length, done: ++done, count: result.valid.length, status: result.diagnostics.status, cached: result.cached, findings: restorePlaceholders(result.valid, redaction.values) });
+    return result;
+  });
+  throwIfAborted(signal);
 
-  if (!findings.length) {
-    findings = heuristicsAU(rawText);
-  } else {
-    findings = ensureMinimumAU(findings, rawText);
-  }
-
-  const remediation_plan = dedupeRecommendations(findings)
-    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
-    .slice(0, 6);
-
-  return aggregate(findings, remediation_plan, rawText);
-}
-
-/* ---------------- JSON repair ---------------- */
-function parseGeminiJson(text) {
-  if (!text || typeof text !== "string") return [];
-  try { const j = JSON.parse(text); return Array.isArray(j) ? j : []; } catch {}
-  const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  if (fence) { try { const j = JSON.parse(fence[1]); return Array.isArray(j) ? j : []; } catch {} }
-  const arrayLike = text.match(/\[[\s\S]*\]/);
-  if (arrayLike) { try { const j = JSON.parse(arrayLike[0]); return Array.isArray(j) ? j : []; } catch {} }
-  return [];
-}
-
-/* ---------------- AU heuristics (fallback & gap-filler) ---------------- */
-function heuristicsAU(text) {
-  const T = (s) => new RegExp(s, "i").test(text || "");
-  const out = [];
-
-  // --- Privacy APPs ---
-  if (!T("\\bprivacy policy\\b") && !T("how we manage.*personal information")) {
-    out.push(mk("privacy_app", "APP 1 transparency", "undisclosed", "medium",
-      "Not found",
-      "Lack of clear statement on how personal information is managed (APP 1).",
-      "Publish an APP 1-compliant privacy policy covering purpose, types collected, use/disclosure, access/correction, complaints and contact.",
-      ["APP 1"], 0.6));
-  }
-
-  if (!T("we collect") || !T("why we collect") || !T("how to contact")) {
-    out.push(mk("privacy_app", "APP 5 collection notice", "undisclosed", "high",
-      "Details of collection notice not clearly present.",
-      "APP 5 notice may be incomplete or absent.",
-      "Add an APP 5 notice with purposes, fields, disclosures, cross-border, contact.",
-      ["APP 5"], 0.7));
-  }
-
-  if (!T("overseas") && !T("outside australia") && !T("cross-border")) {
-    out.push(mk("privacy_app", "APP 8 cross-border disclosures", "undisclosed", "medium",
-      "No explicit mention of disclosures overseas.",
-      "If using offshore vendors/cloud, APP 8 accountability may apply.",
-      "Disclose countries/types of overseas recipients or state none occur.",
-      ["APP 8"], 0.6));
-  }
-
-  if (!T("security") || !(T("encryption") || T("mfa") || T("access control") || T("backup") || T("patch"))) {
-    out.push(mk("privacy_app", "APP 11 security of personal information", "undisclosed", "high",
-      "Security controls not described.",
-      "Absence of described measures increases risk.",
-      "Document encryption/MFA/least privilege/backups/patch SLAs.",
-      ["APP 11","ACSC Essential Eight"], 0.7));
-  }
+  // Findings keep chunk order whatever order the chunks finished in
+  let findings = [];
+  const diagnostics = results.map(({ valid, diagnostics: d, cached }, i) => {
+    for (const f of valid) findings.push({ ...f, chunks: [i + 1] });
+    return { chunk: i + 1, lines: [chunks[i].first, chunks[i].last], tokens: chunks[i].tokens, cached, ...d };
+  });
 
-  if (!(T("access your information") || T("request access"))) {
-    out.push(mk("privacy_app", "APP 12 access to personal information", "undisclosed", "medium",
-      "Access process not described.",
-      "Individuals may not know how to obtain info.",
-      "Add a process for access requests, ID, timeframes, charges.",
-      ["APP 12"], 0.6));
-  }
-  if (!(T("correction") || T("correct your information"))) {
-    out.push(mk("privacy_app", "APP 13 correction of personal information", "undisclosed", "medium",
-      "Correction process not described.",
-      "Individuals may not know how to correct inaccuracies.",
-      "Describe correction process, acknowledgement, timeframes.",
-      ["APP 13"], 0.6));
-  }
+  // Model quotes are checked against the source; wrong line numbers get corrected, invented quotes flagged
+  const verification = verifyEvidence(findings, index);
 
-  if (!(T("retention") || T("retain") || T("delete") || T("deletion") || T("destroy"))) {
-    out.push(mk("privacy_app", "Retention & deletion", "undisclosed", "medium",
-      "No retention/deletion commitments detected.",
-      "Data kept without defined periods increases exposure.",
-      "State retention periods, secure destruction, triggers.",
-      ["APP 11"], 0.6));
-  }
+  // Chunks overlap and each sees only part of the document: merge repeats before scoring
+  const consolidated = consolidateFindings(findings);
+  findings = consolidated.findings;
 
-  // --- Essential Eight ---
-  const e8Signals = [
-    ["Patch applications", /(patch|update).*(application|app)/i],
-    ["Patch operating systems", /(patch|update).*(operating system|os)/i],
-    ["Configure Microsoft Office macro settings", /macro/i],
-    ["User application hardening", /hardening|blocklist|disable/i],
-    ["Restrict administrative privileges", /admin(istrative)?\s+privilege|least privilege|rbac/i],
-    ["Multi-factor authentication", /multi-?factor|mfa|2fa/i],
-    ["Regular backups", /backup/i],
-    ["Incident response", /incident|breach notification|respond/i]
-  ];
-  let anySignalFound = false;
-  for (const [name, rx] of e8Signals) {
-    if (rx.test(text || "")) { anySignalFound = true; continue; }
-    out.push(mk("security_e8", `Essential Eight: ${name}`, "undisclosed", "low",
-      "Signal not detected in document.",
-      `No mention of "${name}" which is recommended ACSC control.`,
-      `Publish statement of posture for "${name}".`,
-      ["ACSC Essential Eight"], 0.55));
-  }
-  if (!anySignalFound) {
-    out.push(mk("security_e8", "Essential Eight posture", "undisclosed", "medium",
-      "No ACSC Essential Eight signals detected.",
-      "Security posture unclear.",
-      "Publish high-level summary mapping to Essential Eight maturity.",
-      ["ACSC Essential Eight"], 0.55));
+  const modelCount = findings.length;
+  // Deterministic checks from the selected rule packs: full fallback, or gap-fillers next to model output
+  if (!findings.length) {
+    findings = runRules(rulePacks, rawText, documentType);
+  } else {
+    findings = fillGaps(rulePacks, findings, rawText, documentType);
   }
+  // Unfair contract terms are checked clause by clause either way; model findings on the same clause are enriched
+  const unfairTerms = detectUnfairTerms(index, rulePacks, documentType);
+  mergeUnfairTerms(findings, unfairTerms);
+  // Recipient / country inventory; packs flag overseas recipients whose countries aren't named
+  const dataFlows = extractDataFlows(index, rulePacks);
+  dataFlowFindings(dataFlows, rulePacks, findings);
+  verifyEvidence(findings, index, verification);   // heuristic gap-fillers and unfair terms added above
+  onProgress("heuristics", { model_findings: modelCount, added: findings.length - modelCount, unfair_terms: unfairTerms.length, total: findings.length });
+
+  uniqueIds(findings);
+  const remediation_plan = remediationPlan(findings);
+
+  onProgress("scoring", { profile: scoringProfile.id });
+  const report = restorePlaceholders({
+    ...aggregate(findings, remediation_plan, rawText, { ...llm, sourceType, profile: scoringProfile, packs: rulePacks, documentType }),
+    data_flows: dataFlows,
+    verification,
+    consolidation: { before: consolidated.before, after: consolidated.after },
+    usage: {
+      token_budget: budget.limit,
+      estimated_tokens: budget.used,
+      calls: budget.calls,
+      retries: budget.retries,
+      chunks: chunks.length,
+      cached_chunks: results.filter(r => r.cached).length,
+      skipped_chunks: results.filter(r => r.diagnostics.status === "skipped").length
+    },
+    diagnostics: { chunks: diagnostics }
+  }, redaction.values);
+  report.redaction = redaction.summary;
+  return report;
+}
 
-  // --- CDSS exemption heuristics ---
-  if (!T("not.*diagnos") && !T("does not diagnos") && !T("not intended to diagnose")) {
-    out.push(mk("cdss_exemption","Non-diagnostic disclaimer","undisclosed","high",
-      "No explicit disclaimer found that outputs are not diagnostic.",
-      "Without this, TGA may view as regulated medical device.",
-      "Add disclaimer: 'This software does not provide a medical diagnosis and must not replace professional judgement.'",
-      ["TGA CDSS Exemption Guidance"],0.75));
-  }
-  if (!T("clinician") && !T("health professional") && !T("doctor review")) {
-    out.push(mk("cdss_exemption","Clinician oversight","undisclosed","high",
-      "No mention that outputs require clinician review/approval.",
-      "CDSS exemption requires clinician retains decision-making.",
-      "State: 'Outputs are intended for use by qualified healthcare professionals, who retain responsibility for all decisions.'",
-      ["TGA CDSS Exemption"],0.75));
-  }
-  if (!T("transparent") && !T("rules") && !T("guideline") && !T("threshold")) {
-    out.push(mk("cdss_exemption","Transparency of logic","undisclosed","medium",
-      "No mention that rules/thresholds are visible.",
-      "Opaque logic risks classification as regulated device.",
-      "Add language that clinicians can see rules, thresholds, references.",
-      ["TGA CDSS Exemption"],0.65));
-  }
-  if (T("patient") && !T("educational") && !T("read-only") && !T("non-directive")) {
-    out.push(mk("cdss_exemption","Patient-facing mode disclaimer","undisclosed","medium",
-      "Mentions patient access without clarifying outputs are educational/read-only.",
-      "Patient features may trigger regulation unless limited.",
-      "Clarify patient mode only shows clinician-approved educational summaries.",
-      ["TGA CDSS Exemption"],0.6));
-  }
-  if (!T("not intended") && !T("not for triage") && !T("not for emergency")) {
-    out.push(mk("cdss_exemption","Scope limitations","undisclosed","medium",
-      "No explicit limitation against triage/prediction/therapeutic claims.",
-      "Absence of scope limitation could classify as device.",
-      "Add: 'Not intended for triage, emergency use, disease prediction, or therapeutic purposes.'",
-      ["TGA CDSS Exemption"],0.6));
+/* ---------------- Model call + validation/repair loop ---------------- */
+// Sends a chunk prompt, validates the output against the finding schema and,
+// if anything failed, re-prompts with the validation errors (config.maxRepairAttempts).
+// Every call is charged to the document's token budget up front; a chunk that can't be
+// afforded is "skipped", and repairs stop once the budget runs out.
+async function runChunk(prompt, llm, themes, { signal, budget, onRetry }) {
+  const attempts = [];
+  let best = null;
+  let currentPrompt = prompt;
+
+  for (let attempt = 0; attempt <= config.maxRepairAttempts; attempt++) {
+    throwIfAborted(signal);
+    const cost = estimateTokens(currentPrompt);
+    if (budget.used + cost > budget.limit) {
+      if (best) break;
+      return { valid: [], diagnostics: { status: "skipped", reason: "token budget exhausted", repairs: 0, attempts } };
+    }
+    budget.used += cost;
+    budget.calls++;
+    const { text, provider: usedProvider, model: usedModel, retries } = await generate(currentPrompt, { ...llm, signal, onRetry });
+    budget.used += estimateTokens(text);
+    llm.provider = usedProvider;
+    llm.model = usedModel;
+
+    const { items, status } = parseGeminiJson(text);
+    const { valid, dropped, warnings } = validateFindings(items, { themes });
+    attempts.push({ raw: text, parse_status: status, valid: valid.length, dropped, warnings, retries });
+
+    const errors = status === "failed" || status === "not_array"
+      ? [`Output was not a JSON array (parse status: ${status}).`]
+      : dropped.map(d => `item ${d.index}: ${d.errors.join("; ")}`);
+    if (!best || valid.length > best.valid.length ||
+        (valid.length === best.valid.length && errors.length < best.errors.length)) best = { valid, errors };
+    if (!errors.length) break;
+
+    currentPrompt = [
+      prompt,
+      "<<REPAIR>>",
+      "Your previous output failed validation:",
+      ...errors.map(e => "- " + e),
+      "<<PREVIOUS_OUTPUT>>",
+      String(text || "").slice(0, 8000),
+      "Return ONLY the corrected JSON array of findings, keeping every valid finding."
+    ].join("\n");
   }
 
-  return out;
+  return {
+    valid: best.valid,
+    diagnostics: {
+      status: best.errors.length ? (best.valid.length ? "partial" : "failed") : "ok",
+      repairs: attempts.length - 1,
+      attempts
+    }
+  };
 }
 
-function ensureMinimumAU(findings, text) {
-  // unchanged from before (ensures minimum APP coverage)
-  const have = (needle) =>
-    findings.some(f => (`${f.theme}:${f.title}` || "").toLowerCase().includes(needle));
-  const add = (f) => { if (!findings.some(x => (x.title||"")===(f.title||""))) findings.push(f); };
-
-  if (!have("app 5")) add(mk("privacy_app","APP 5 collection notice","undisclosed","high","Not found",
-    "APP 5 notice may be incomplete or absent.","Add an APP 5 notice at collection.",["APP 5"],0.6));
-
-  if (!have("app 11")) add(mk("privacy_app","APP 11 security of personal information","undisclosed","high","Not found",
-    "Security controls not described.","Document encryption/MFA/least-privilege/backups/patch SLAs.",["APP 11"],0.65));
-
-  if (!have("access to personal")) add(mk("privacy_app","APP 12 access to personal information","undisclosed","medium","Not found",
-    "Access process not described.","Describe how individuals can request access and expected timeframes.",["APP 12"],0.55));
-
-  if (!have("correction")) add(mk("privacy_app","APP 13 correction of personal information","undisclosed","medium","Not found",
-    "Correction process not described.","Explain how corrections are handled and acknowledged.",["APP 13"],0.55));
-
-  if (!/retention|retain|delete|destroy|de-?identify/i.test(text||"")) {
-    add(mk("privacy_app","Retention & deletion","undisclosed","medium","Not found",
-      "No retention/deletion commitments detected.",
-      "State retention periods and secure deletion/de-identification triggers.",
-      ["APP 11"],0.55));
+/* ---------------- Chunk cache + concurrency ---------------- */
+// Chunk responses are cached on the prompt with line numbers made relative to the chunk, so a
+// section that only moved (because an earlier one was edited) still hits; the cited line
+// numbers are shifted back on the way out. Only clean ("ok") responses are stored.
+async function cachedChunk(prompt, chunk, scope, run) {
+  if (!scope) return { ...(await run()), cached: false };
+  const relative = prompt.replace(/\[LINE (\d+)\]/g, (_, n) => `[LINE ${n - chunk.first + 1}]`);
+  const key = cacheKey(scope.provider, scope.model, relative);
+  const hit = await readCache("chunks", key);
+  if (hit) {
+    const shift = chunk.first - hit.first;
+    const valid = hit.valid.map(f => ({ ...f, evidence: String(f.evidence ?? "").replace(/\[LINE (\d+)\]/g, (_, n) => `[LINE ${Number(n) + shift}]`) }));
+    return { valid, diagnostics: { ...hit.diagnostics, attempts: [] }, cached: true };
   }
-  return findings;
+  const result = await run();
+  if (result.diagnostics.status === "ok") await writeCache("chunks", key, { first: chunk.first, valid: result.valid, diagnostics: { status: "ok", repairs: result.diagnostics.repairs } });
+  return { ...result, cached: false };
 }
 
-/* ---------------- Scoring & aggregation (SOFTER) ---------------- */
-function aggregate(findings, remediation_plan, rawText) {
-  const weights = config.weights;
-
-  // Softer penalties
-  const severityPenalty = { high: 20, medium: 10, low: 4 };
+// Like Promise.all over items.map(fn), but with at most `limit` calls in flight. After a
+// failure no further items are started; the first error is rethrown.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try { results[i] = await fn(items[i], i); }
+      catch (e) { failed = true; throw e; }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
 
-  // Category soft floors (20 if signals exist)
-  const floors = detectSoftFloors(rawText); // {theme: 0|20}
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw Object.assign(new Error("Analysis cancelled"), { name: "AbortError", status: 499 });
+}
 
-  const categoryMap = {
-    privacy_app: 0,
-    security_e8: 0,
-    cdss_exemption: 0,
-    contract_fairness: 0,
-    vendor_sharing: 0
+/* ---------------- JSON repair ---------------- */
+// status: "ok" (whole text), "fenced" (```json block), "extracted" (first [...] span),
+// "not_array" (valid JSON of the wrong shape) or "failed"
+export function parseGeminiJson(text) {
+  if (!text || typeof text !== "string") return { items: [], status: "failed" };
+  const asArray = (j, status) => {
+    if (Array.isArray(j)) return { items: j, status };
+    if (Array.isArray(j?.findings)) return { items: j.findings, status };
+    return { items: [], status: "not_array" };
   };
-  const themeCounters = {};
-
-  for (const f of findings) {
-    const theme = f.theme || "other";
-    const sev = (f.severity || "low").toLowerCase();
-    const pen = severityPenalty[sev] ?? 4;
-    themeCounters[theme] = (themeCounters[theme] || 0) + pen;
-  }
-  for (const theme of Object.keys(categoryMap)) {
-    const penalty = themeCounters[theme] || 0;
-    const rawScore = Math.max(0, 100 - penalty);
-    const floor = floors[theme] ?? 0;
-    categoryMap[theme] = Math.max(rawScore, floor);
-  }
+  try { return asArray(JSON.parse(text), "ok"); } catch {}
+  const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) { try { return asArray(JSON.parse(fence[1]), "fenced"); } catch {} }
+  const arrayLike = text.match(/\[[\s\S]*\]/);
+  if (arrayLike) { try { return asArray(JSON.parse(arrayLike[0]), "extracted"); } catch {} }
+  return { items: [], status: "failed" };
+}
 
-  const overall = Math.round(
-    categoryMap.privacy_app * weights.privacy_app +
-    categoryMap.security_e8 * weights.security_e8 +
-    categoryMap.cdss_exemption * weights.cdss_exemption +
-    categoryMap.contract_fairness * weights.contract_fairness +
-    categoryMap.vendor_sharing * weights.vendor_sharing
-  );
+/* ---------------- Report assembly ---------------- */
+function aggregate(findings, remediation_plan, rawText, meta) {
+  // Penalties, soft floors, hard-fail caps and weights all come from the scoring profile;
+  // findings triaged as accepted risk, false positive or fixed (see triage.js) don't count
+  const { scores, breakdown } = scoreFindings(scoredFindings(findings), rawText, meta.profile, meta.packs, meta.documentType);
 
   return {
     doc: {
-      title: inferTitle(rawText),
-      source_type: "document",
-      jurisdiction_mentions: ["AU"],
-      last_updated_detected: detectDates(rawText)
+      title: inferTitle(rawText, meta.documentType),
+      document_type: meta.documentType,
+      source_type: meta.sourceType,
+      jurisdiction_mentions: [...new Set(meta.packs.map(p => p.jurisdiction))],
+      last_updated_detected: detectDates(rawText),
+      provider: meta.provider,
+      model: meta.model
     },
-    scores: { overall, weights, ...categoryMap },
+    scores,
+    score_breakdown: breakdown,
+    rule_packs: packVersions(meta.packs),
+    theme_labels: themeLabels(meta.packs),
     findings,
     remediation_plan
   };
 }
 
-/* ---------------- Soft floor detector ---------------- */
-function detectSoftFloors(text="") {
-  const T = (rx) => new RegExp(rx, "i").test(text);
-
-  const hasPrivacySignals =
-    T("\\bprivacy policy\\b|privacy act|personal information|app\\s*\\d+") ||
-    T("we collect|why we collect|how to contact|access your information|correction|retention|delete|destroy");
-
-  const hasSecuritySignals =
-    T("encryption|mfa|2fa|access control|least privilege|backup|patch|incident|macro|hardening|rbac");
-
-  const hasCdssSignals =
-    T("not intended to diagnose|does not diagnose|clinician|health professional|doctor review") ||
-    T("educational|read-only|non-directive|guideline|threshold|transparent");
-
-  const hasContractSignals =
-    T("limitation of liability|liability is limited|indemnity|indemnify|arbitration|governing law|termination|unilateral|class action");
-
-  const hasVendorSignals =
-    T("third part(y|ies)|vendors|processors|sub-processor|share|disclose|stripe|aws|google|overseas|outside australia|cross-border");
-
-  const SOFT = 20;
-  return {
-    privacy_app: hasPrivacySignals ? SOFT : 0,
-    security_e8: hasSecuritySignals ? SOFT : 0,
-    cdss_exemption: hasCdssSignals ? SOFT : 0,
-    contract_fairness: hasContractSignals ? SOFT : 0,
-    vendor_sharing: hasVendorSignals ? SOFT : 0
-  };
+/**
+ * Re-score a stored report after triage changes (or once a waiver has expired) under the
+ * profile, rule packs and document type it was analysed with. Findings are left as they are.
+ */
+export function rescoreReport(report, rawText, now = new Date()) {
+  const packs = resolvePacks((report.rule_packs || []).map(p => p.id));
+  const findings = report.findings || [];
+  const { scores, breakdown } = scoreFindings(scoredFindings(findings, now), rawText, report.scores?.profile, packs, report.doc?.document_type || null);
+  return { ...report, scores, score_breakdown: breakdown, remediation_plan: remediationPlan(findings, now), triage: triageSummary(findings, now) };
 }
 
-/* ---------------- Utilities ---------------- */
-function mk(theme, title, status, severity, evidence, impact, recommendation, references, confidence) {
-  return {
-    id: "R-" + Math.random().toString(36).slice(2, 8),
-    theme, title, status, severity,
-    evidence, impact, recommendation, references, confidence
-  };
+function remediationPlan(findings, now = new Date()) {
+  return dedupeRecommendations(scoredFindings(findings, now))
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+    .slice(0, 6);
 }
 
-// MODIFIED: This function now implements RAG-like indexing/grounding by prepending line numbers.
-function chunkByChar(rawText, size, overlap) {
-  // 1. Prepend line numbers to the text (RAG-like indexing/grounding)
-  const lines = rawText.split('\n');
-  const indexedText = lines.map((line, index) => `[LINE ${index + 1}] ${line}`).join('\n');
-
-  // 2. Perform the character-based chunking with overlap on the indexed text
-  const out = [];
-  let i = 0;
-  const step = Math.max(1, size - overlap);
-  while (i < (indexedText?.length || 0)) { out.push(indexedText.slice(i, i + size)); i += step; }
-  
-  return out.length ? out : [indexedText || ""];
+/* ---------------- Utilities ---------------- */
+// Reviewers triage findings by id, so two findings must never share one
+function uniqueIds(findings) {
+  const seen = new Map();
+  for (const f of findings) {
+    const n = (seen.get(f.id) || 0) + 1;
+    seen.set(f.id, n);
+    if (n > 1) f.id = `${f.id}-${n}`;
+  }
 }
 
 function dedupeRecommendations(findings) {
@@ -346,11 +368,12 @@ function dedupeRecommendations(findings) {
 
 function severityRank(s) { return ({ high: 0, medium: 1, low: 2 }[s?.toLowerCase()] ?? 3); }
 
-function inferTitle(t) {
+function inferTitle(t, documentType) {
+  if (documentType?.title) return documentType.title;
   const m = (t || "").match(/(privacy policy|terms of service|terms and conditions|data processing addendum)/i);
   return m ? m[0] : "Document";
 }
 function detectDates(t) {
   const m = (t || "").match(/(last updated|effective date)[:\s]*([A-Za-z]{3,9}\s+\d{1,2},\s*\d{4}|\d{4}-\d{2}-\d{2})/i);
   return m ? m[2] : null;
-}
\ No newline at end of file
+}
\ No newline at end of file
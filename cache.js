@@ -0,0 +1,32 @@
+// cache.js (file-backed response cache under DATA_DIR/cache: one JSON file per key, per bucket)
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import config from "./config.js";
+
+const ROOT = () => path.resolve(process.env.DATA_DIR || "data", "cache");
+
+/** Stable key for any JSON-serialisable parts. */
+export function cacheKey(...parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+export function cacheEnabled() {
+  return config.cache.enabled;
+}
+
+/** Cached value or null (missing, unreadable or caching disabled). */
+export async function readCache(bucket, key) {
+  if (!cacheEnabled()) return null;
+  try { return JSON.parse(await fs.readFile(path.join(ROOT(), bucket, `${key}.json`), "utf8")); }
+  catch (e) { if (e.code === "ENOENT" || e instanceof SyntaxError) return null; throw e; }
+}
+
+export async function writeCache(bucket, key, value) {
+  if (!cacheEnabled()) return;
+  const file = path.join(ROOT(), bucket, `${key}.json`);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,89 @@
+// chunking.js (token-aware, clause-aligned chunking with content-defined boundaries)
+import crypto from "crypto";
+import { clausesOf } from "./docindex.js";
+
+const BOUNDARY_EVERY = 4;   // about one clause in four may close a chunk early…
+const MIN_FILL = 0.4;       // …once the chunk holds this share of its token budget
+
+/**
+ * Token estimate without a tokenizer dependency: ~4 characters per token for English
+ * prose, but never fewer tokens than whitespace-separated words (numbers, short words).
+ */
+export function estimateTokens(text) {
+  const s = String(text || "");
+  return Math.max(Math.ceil(s.length / 4), (s.match(/\S+/g) || []).length);
+}
+
+/**
+ * Split the indexed document into prompt chunks of at most `maxTokens` (estimated), each
+ * line prefixed "[LINE n]". Chunks end between clauses, and where they end depends only on
+ * nearby clauses (a heading hash picks the early boundaries), so editing one section
+ * re-chunks just its neighbourhood and the other chunks' cached responses still apply.
+ * Lines worth up to `overlapTokens` from the end of the previous chunk are repeated at the top.
+ * @returns {Array<{text: string, first: number, last: number, tokens: number}>}
+ *   first/last: line numbers in the chunk text, overlap included
+ */
+export function chunkIndex(index, { maxTokens, overlapTokens = 0 }) {
+  const budget = Math.max(50, maxTokens - overlapTokens);
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const close = () => {
+    if (!current.length) return;
+    const previous = chunks.length ? chunks[chunks.length - 1].lines : [];
+    const overlap = [];
+    let spare = overlapTokens;
+    for (let i = previous.length - 1; i >= 0 && previous[i].tokens <= spare; i--) {
+      overlap.unshift(previous[i]);
+      spare -= previous[i].tokens;
+    }
+    const lines = [...overlap, ...current];
+    chunks.push({ lines: current, text: lines.map(l => l.text).join("\n"), first: lines[0].n, last: lines[lines.length - 1].n, tokens: size + overlapTokens - spare });
+    current = [];
+    size = 0;
+  };
+
+  for (const clause of clausesOf(index)) {
+    const lines = clause.lines.flatMap(l => pieces(l, budget));
+    const clauseSize = lines.reduce((n, l) => n + l.tokens, 0);
+    const early = size >= budget * MIN_FILL && headingHash(clause.lines[0].text) % BOUNDARY_EVERY === 0;
+    if (size + clauseSize > budget || early) close();
+    // A clause larger than the budget is split between its lines
+    for (const line of lines) {
+      if (size + line.tokens > budget) close();
+      current.push(line);
+      size += line.tokens;
+    }
+  }
+  close();
+
+  if (!chunks.length) {
+    const text = index.lines.map(l => `[LINE ${l.n}] ${l.text}`).join("\n");
+    return [{ text, first: 1, last: index.lines.length, tokens: estimateTokens(text) }];
+  }
+  return chunks.map(({ text, first, last, tokens }) => ({ text, first, last, tokens }));
+}
+
+// One prompt line per index line; a single line over budget (e.g. a PDF without line breaks) is cut up
+function pieces(l, budget) {
+  const text = `[LINE ${l.n}] ${l.text}`;
+  const tokens = estimateTokens(text) + 1;
+  if (tokens <= budget) return [{ n: l.n, text, tokens }];
+  const out = [];
+  const head = `[LINE ${l.n}] `;
+  const step = Math.max(1, (budget - estimateTokens(head) - 1) * 4);
+  for (let i = 0; i < l.text.length;) {
+    // The "[LINE n]" prefix counts against the budget, and short words can cost more than 4 characters' worth
+    let end = i + step;
+    while (end - i > 1 && estimateTokens(head + l.text.slice(i, end)) + 1 > budget) end = i + Math.floor((end - i) * 0.9);
+    const part = head + l.text.slice(i, end);
+    out.push({ n: l.n, text: part, tokens: estimateTokens(part) + 1 });
+    i = end;
+  }
+  return out;
+}
+
+function headingHash(text) {
+  return crypto.createHash("sha1").update(String(text).trim().toLowerCase()).digest().readUInt32BE(0);
+}
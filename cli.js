@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// cli.js (batch analyser for pipelines: files/directories in, JSON/CSV/Markdown summary out, exit code gates)
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { analyzeText } from "./analysis.js";
+import { parseDocument } from "./parser.js";
+import { findingKey, matchFindings } from "./diff.js";
+
+const EXTENSIONS = new Set([".pdf", ".docx", ".html", ".htm", ".md", ".markdown", ".txt"]);
+const FORMATS = ["json", "csv", "markdown"];
+const EXIT = { ok: 0, violation: 1, error: 2 };
+
+const USAGE = `Usage: legaldoc-risk [options] <file|directory>...
+
+Analyses each file (directories are searched for ${[...EXTENSIONS].join(" ")}) and prints a summary.
+
+Output
+  --format json|csv|markdown   summary format (default: from --out's extension, else json)
+  --out <file>                 write the summary to a file instead of stdout
+  --quiet                      no progress on stderr
+
+Analysis
+  --provider <name>  --model <id>  --profile <id>  --packs <ids>  --doc-type <type>
+  --redact <0|1|kinds>         as the redact form field (default: REDACT)
+  --no-cache                   re-query every chunk
+
+Gates (exit code 1 when any is violated)
+  --min-overall <n>            every document's overall score must be at least n
+  --max-high <n>               at most n open high-severity findings per document
+  --baseline <file>            a previous run's JSON output to compare against
+  --max-drop <n>               with --baseline: overall may drop by at most n points (default 0)
+  --max-new <n>                with --baseline: at most n newly introduced findings per document
+
+Exit codes: 0 passed, 1 a gate failed, 2 usage error or a document could not be analysed.`;
+
+/* ---------------- Arguments ---------------- */
+const OPTIONS = {
+  format: "string", out: "string", quiet: "boolean",
+  provider: "string", model: "string", profile: "string", packs: "string", "doc-type": "string",
+  redact: "string", "no-cache": "boolean",
+  "min-overall": "number", "max-high": "number", baseline: "string", "max-drop": "number", "max-new": "number",
+  help: "boolean"
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: EXIT.error, usage: true });
+}
+
+function parseArgs(argv) {
+  const opts = { paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h") { opts.help = true; continue; }
+    if (!arg.startsWith("--")) { opts.paths.push(arg); continue; }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const type = OPTIONS[name];
+    if (!type) throw usageError(`Unknown option --${name}`);
+    if (type === "boolean") { opts[name] = true; continue; }
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw usageError(`--${name} needs a value`);
+    if (type === "number" && !Number.isFinite(Number(value))) throw usageError(`--${name} expects a number, got "${value}"`);
+    opts[name] = type === "number" ? Number(value) : value;
+  }
+  if (opts.help) return opts;
+  if (!opts.paths.length) throw usageError("No files or directories given");
+  opts.format ??= formatFromExtension(opts.out) || "json";
+  if (!FORMATS.includes(opts.format)) throw usageError(`--format must be one of: ${FORMATS.join(", ")}`);
+  if ((opts["max-drop"] !== undefined || opts["max-new"] !== undefined) && !opts.baseline) {
+    throw usageError("--max-drop and --max-new need --baseline");
+  }
+  return opts;
+}
+
+function formatFromExtension(file) {
+  const ext = path.extname(file || "").toLowerCase();
+  return { ".json": "json", ".csv": "csv", ".md": "markdown", ".markdown": "markdown" }[ext] || null;
+}
+
+/* ---------------- Inputs ---------------- */
+// Explicit files are taken whatever their extension; directories are walked for supported ones
+async function collectFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    const stat = await fs.stat(p).catch(() => null);
+    if (!stat) throw usageError(`No such file or directory: ${p}`);
+    if (stat.isDirectory()) files.push(...await walk(p));
+    else files.push(p);
+  }
+  return [...new Set(files.map(f => path.relative(process.cwd(), path.resolve(f)) || f))].sort();
+}
+
+async function walk(dir) {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...await walk(full));
+    else if (EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+/* ---------------- Analysis ---------------- */
+async function analyseFile(file, opts) {
+  const { format, text } = await parseDocument(await fs.readFile(file), { filename: file });
+  if (!text || text.trim().length < 20) throw new Error("Could not extract meaningful text");
+  const report = await analyzeText(text, {
+    sourceType: format,
+    provider: opts.provider,
+    model: opts.model,
+    profile: opts.profile,
+    packs: opts.packs,
+    docType: opts["doc-type"],
+    redact: opts.redact,
+    cache: !opts["no-cache"]
+  });
+  return summariseReport(file, report);
+}
+
+// What a run keeps per document: enough to gate on and to serve as the next run's baseline
+function summariseReport(file, report) {
+  const { overall, profile, weights = {} } = report.scores || {};
+  const open = (report.findings || []).filter(f => (f.status || "").toLowerCase() !== "disclosed");
+  const count = (sev) => open.filter(f => (f.severity || "").toLowerCase() === sev).length;
+  return {
+    file,
+    title: report.doc?.title || null,
+    doc_type: report.doc?.document_type?.type || null,
+    source_type: report.doc?.source_type || null,
+    provider: report.doc?.provider || null,
+    model: report.doc?.model || null,
+    profile: profile || null,
+    rule_packs: (report.rule_packs || []).map(p => `${p.id}@${p.version}`),
+    scores: Object.fromEntries([["overall", overall ?? null], ...Object.keys(weights).map(c => [c, report.scores[c] ?? null])]),
+    findings: { open: open.length, high: count("high"), medium: count("medium"), low: count("low") },
+    open_findings: open.map(f => ({ key: findingKey(f), theme: f.theme, title: f.title, severity: f.severity, status: f.status })),
+    skipped_chunks: report.usage?.skipped_chunks || 0
+  };
+}
+
+/* ---------------- Baseline + gates ---------------- */
+async function readBaseline(file) {
+  let json;
+  try { json = JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) { throw usageError(`Could not read baseline ${file}: ${e.message}`); }
+  if (!Array.isArray(json?.results)) throw usageError(`Baseline ${file} is not a JSON summary from this tool`);
+  return new Map(json.results.filter(r => !r.error).map(r => [r.file, r]));
+}
+
+function compareToBaseline(result, before) {
+  if (!before) return { file: result.file, status: "new" };
+  // Paired one-to-one, so a second finding under an existing key still counts as new
+  const { resolved, introduced } = matchFindings(before.open_findings || [], result.open_findings, f => f.key);
+  const deltas = {};
+  for (const c of Object.keys(result.scores)) {
+    if (before.scores?.[c] != null && result.scores[c] != null) deltas[c] = result.scores[c] - before.scores[c];
+  }
+  return {
+    file: result.file,
+    status: "compared",
+    overall_before: before.scores?.overall ?? null,
+    overall_delta: deltas.overall ?? null,
+    score_deltas: deltas,
+    introduced,
+    resolved
+  };
+}
+
+function checkGates(result, comparison, opts) {
+  const violations = [];
+  const fail = (gate, message) => violations.push({ file: result.file, gate, message });
+  const overall = result.scores.overall;
+  if (opts["min-overall"] !== undefined && !(overall >= opts["min-overall"])) {
+    fail("min-overall", `overall ${overall} is below ${opts["min-overall"]}`);
+  }
+  if (opts["max-high"] !== undefined && result.findings.high > opts["max-high"]) {
+    fail("max-high", `${result.findings.high} open high-severity finding(s), at most ${opts["max-high"]} allowed`);
+  }
+  if (comparison?.status === "compared") {
+    const maxDrop = opts["max-drop"] ?? 0;
+    if (comparison.overall_delta !== null && -comparison.overall_delta > maxDrop) {
+      fail("max-drop", `overall dropped ${-comparison.overall_delta} point(s) (${comparison.overall_before} → ${overall}), at most ${maxDrop} allowed`);
+    }
+    if (opts["max-new"] !== undefined && comparison.introduced.length > opts["max-new"]) {
+      fail("max-new", `${comparison.introduced.length} new finding(s), at most ${opts["max-new"]} allowed`);
+    }
+  }
+  return violations;
+}
+
+/* ---------------- Output ---------------- */
+function toCsv(run) {
+  const categories = [...new Set(run.results.flatMap(r => Object.keys(r.scores || {})))].filter(c => c !== "overall");
+  const header = ["file", "title", "doc_type", "profile", "overall", ...categories, "open_findings", "high", "medium", "low",
+    "baseline_overall", "overall_delta", "introduced", "resolved", "violations", "error"];
+  const rows = run.results.map(r => {
+    const b = run.baseline?.comparisons.find(c => c.file === r.file);
+    const v = run.violations.filter(x => x.file === r.file).map(x => x.message);
+    return [r.file, r.title, r.doc_type, r.profile, r.scores?.overall, ...categories.map(c => r.scores?.[c]),
+      r.findings?.open, r.findings?.high, r.findings?.medium, r.findings?.low,
+      b?.overall_before, b?.overall_delta, b?.introduced?.length, b?.resolved?.length, v.join("; "), r.error];
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toMarkdown(run) {
+  const cell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\s+/g, " ");
+  const signed = (n) => n === null || n === undefined ? "" : n > 0 ? `+${n}` : String(n);
+  const out = [`# Compliance risk summary`, "", `${run.results.length} document(s) • ${run.passed ? "**passed**" : "**failed**"} • ${run.generated_at}`, ""];
+  out.push("| File | Type | Overall | Δ baseline | Open | High | Medium | Low |", "| --- | --- | ---: | ---: | ---: | ---: | ---: | ---: |");
+  for (const r of run.results) {
+    if (r.error) { out.push(`| ${cell(r.file)} | error: ${cell(r.error)} | | | | | | |`); continue; }
+    const b = run.baseline?.comparisons.find(c => c.file === r.file);
+    out.push(`| ${cell(r.file)} | ${cell(r.doc_type)} | ${r.scores.overall} | ${b?.status === "new" ? "new" : signed(b?.overall_delta)} | ${r.findings.open} | ${r.findings.high} | ${r.findings.medium} | ${r.findings.low} |`);
+  }
+  if (run.violations.length) {
+    out.push("", "## Gate violations", "", ...run.violations.map(v => `- \`${v.gate}\` ${cell(v.file)}: ${v.message}`));
+  }
+  const changed = (run.baseline?.comparisons || []).filter(c => c.introduced?.length || c.resolved?.length);
+  if (changed.length) {
+    out.push("", "## Changes since baseline");
+    for (const c of changed) {
+      out.push("", `### ${cell(c.file)}`);
+      out.push(...c.introduced.map(f => `- introduced (${f.severity}): ${cell(f.title)}`));
+      out.push(...c.resolved.map(f => `- resolved: ${cell(f.title)}`));
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+/* ---------------- Main ---------------- */
+async function main(argv = process.argv.slice(2)) {
+  const opts = parseArgs(argv);
+  if (opts.help) { console.log(USAGE); return EXIT.ok; }
+  const log = opts.quiet ? () => {} : (msg) => process.stderr.write(msg + "\n");
+  const baseline = opts.baseline ? await readBaseline(opts.baseline) : null;
+  const files = await collectFiles(opts.paths);
+  if (!files.length) throw usageError(`No supported documents found in: ${opts.paths.join(", ")}`);
+
+  const results = [];
+  for (const file of files) {
+    log(`Analysing ${file}…`);
+    try {
+      const result = await analyseFile(file, opts);
+      log(`  overall ${result.scores.overall} • ${result.findings.open} open finding(s), ${result.findings.high} high`);
+      results.push(result);
+    } catch (e) {
+      log(`  failed: ${e.message}`);
+      results.push({ file, error: e.message });
+    }
+  }
+
+  const analysed = results.filter(r => !r.error);
+  const comparisons = baseline ? analysed.map(r => compareToBaseline(r, baseline.get(r.file))) : null;
+  const violations = analysed.flatMap(r => checkGates(r, comparisons?.find(c => c.file === r.file), opts));
+  const run = {
+    generated_at: new Date().toISOString(),
+    gates: Object.fromEntries(["min-overall", "max-high", "max-drop", "max-new"].filter(g => opts[g] !== undefined).map(g => [g, opts[g]])),
+    passed: !violations.length && analysed.length === results.length,
+    results,
+    violations,
+    ...(baseline ? { baseline: { file: opts.baseline, comparisons, missing: [...baseline.keys()].filter(f => !results.some(r => r.file === f)) } } : {})
+  };
+
+  const body = opts.format === "csv" ? toCsv(run) : opts.format === "markdown" ? toMarkdown(run) : JSON.stringify(run, null, 2) + "\n";
+  if (opts.out) await fs.writeFile(opts.out, body);
+  else process.stdout.write(body);
+
+  for (const v of violations) log(`FAIL ${v.gate} ${v.file}: ${v.message}`);
+  if (analysed.length < results.length) return EXIT.error;
+  return violations.length ? EXIT.violation : EXIT.ok;
+}
+
+// Model calls may leave sockets open, so exit explicitly once the summary is written
+main().then(code => process.exit(code), e => {
+  console.error(e.usage ? `${e.message}\n\n${USAGE}` : e);
+  process.exit(e.exitCode ?? EXIT.error);
+});
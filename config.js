@@ -1,7 +1,73 @@
 // config.js
 export default {
-  weights: { privacy_app: 0.35, security_e8: 0.25, cdss_exemption: 0.20, contract_fairness: 0.10, vendor_sharing: 0.10 },
-  hardFailCaps: { privacyWhenCoreMissing: true },
-  maxTokensPerChunk: 6000,
-  overlapChars: 800
+  // Scoring profiles: pick per request (`profile` form field) or fall back to defaultProfile.
+  // severityPenalty is subtracted from 100 per finding; softFloor is the minimum category
+  // score when the document shows any signals for it; hardFailCaps run after floors.
+  defaultProfile: process.env.SCORING_PROFILE || "health-tech-cdss",
+  scoringProfiles: {
+    "health-tech-cdss": {
+      label: "Health-tech CDSS",
+      description: "Clinical decision support: APPs, Essential Eight and TGA CDSS exemption conditions.",
+      weights: { privacy_app: 0.35, security_e8: 0.25, cdss_exemption: 0.20, contract_fairness: 0.10, vendor_sharing: 0.10 },
+      severityPenalty: { high: 20, medium: 10, low: 4 },
+      softFloor: 20,
+      hardFailCaps: {
+        privacyWhenCoreMissing: { core: ["APP 1", "APP 5"], category: "privacy_app", categoryCap: 40, overallCap: 60 }
+      }
+    },
+    "general-saas": {
+      label: "General SaaS",
+      description: "Non-clinical SaaS: CDSS signals are not weighted.",
+      weights: { privacy_app: 0.40, security_e8: 0.30, cdss_exemption: 0, contract_fairness: 0.15, vendor_sharing: 0.15 },
+      severityPenalty: { high: 20, medium: 10, low: 4 },
+      softFloor: 20,
+      hardFailCaps: {
+        privacyWhenCoreMissing: { core: ["APP 1", "APP 5"], category: "privacy_app", categoryCap: 40, overallCap: 65 }
+      }
+    },
+    "dpa-review": {
+      label: "DPA review",
+      description: "Data processing addenda: vendor/sub-processor terms and security dominate; stricter penalties.",
+      weights: { privacy_app: 0.25, security_e8: 0.30, cdss_exemption: 0, contract_fairness: 0.15, vendor_sharing: 0.30 },
+      severityPenalty: { high: 25, medium: 12, low: 5 },
+      softFloor: 10,
+      hardFailCaps: {}
+    }
+  },
+  // Document types (doctype.js): rules declare which types they apply to (`doc_types`), and the
+  // multipliers re-weight themes on top of the profile/pack weights before re-normalising.
+  // Unlisted themes keep ×1; a mixed bundle takes each theme's largest component multiplier.
+  docTypes: {
+    privacy_policy: { label: "Privacy policy", themeMultipliers: {} },
+    terms_of_service: {
+      label: "Terms of service",
+      themeMultipliers: { contract_fairness: 3, privacy_app: 0.5, privacy_ipp: 0.5, gdpr: 0.5, vendor_sharing: 0.75 }
+    },
+    dpa: {
+      label: "Data processing addendum",
+      themeMultipliers: { vendor_sharing: 2.5, security_e8: 1.2, privacy_app: 0.5, privacy_ipp: 0.5, cdss_exemption: 0 }
+    },
+    mixed: { label: "Mixed bundle", themeMultipliers: {} },
+    other: { label: "Other / unclassified", themeMultipliers: {} }
+  },
+  // Redaction (redact.js) before any text reaches a model; `redact` form field: 0/1 or a list of kinds.
+  // REDACT=0 turns it off by default; REDACT_KINDS narrows what is detected.
+  redaction: {
+    enabled: process.env.REDACT !== "0",
+    kinds: (process.env.REDACT_KINDS || "secret,email,medicare,abn,phone,acn,tfn,address").split(",").map(s => s.trim().toLowerCase()).filter(Boolean)
+  },
+  // Rule packs (rules/*.json) applied when a request doesn't pick any (`packs` form field)
+  defaultRulePacks: (process.env.RULE_PACKS || "au").split(",").map(s => s.trim().toLowerCase()).filter(Boolean),
+  // Chunk sizes are estimated tokens (chunking.js); chunks run `chunkConcurrency` at a time and stop
+  // being sent once a document's calls (prompts + responses, repairs included) reach maxTokensPerDocument.
+  maxTokensPerChunk: Number(process.env.MAX_TOKENS_PER_CHUNK || 6000),
+  overlapTokens: 200,
+  maxTokensPerDocument: Number(process.env.LLM_TOKEN_BUDGET || 250000),
+  chunkConcurrency: Number(process.env.LLM_CONCURRENCY || 3),
+  maxRepairAttempts: 1,
+  // Provider calls failing with 429 or 5xx are retried with exponential backoff (Retry-After wins)
+  llmRetries: Number(process.env.LLM_RETRIES ?? 3),
+  llmRetryBaseMs: Number(process.env.LLM_RETRY_BASE_MS || 1000),
+  // Reports (file hash + packs/prompt/model/settings) and per-chunk responses are reused; LLM_CACHE=0 disables both
+  cache: { enabled: process.env.LLM_CACHE !== "0" }
 };
@@ -0,0 +1,106 @@
+// consolidate.js (merges per-chunk findings that describe the same issue)
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const STOPWORDS = new Set(["a", "an", "and", "the", "of", "for", "to", "in", "on", "or", "with", "by", "not", "no", "is", "are", "personal", "information", "policy", "missing", "lack", "unclear", "incomplete"]);
+
+/**
+ * Cluster findings by theme, specific references (APP n, E8 control…) and
+ * title similarity, then merge each cluster into one finding:
+ *  - worst severity wins (among members that weren't overruled, see below);
+ *  - citations, references and chunk numbers are unioned;
+ *  - when one chunk says "undisclosed" but another quotes verified text, the
+ *    absence claim is overruled (recorded under `conflicts`) because a chunk
+ *    can only speak for the text it saw.
+ * @returns {{findings: object[], before: number, after: number}}
+ */
+export function consolidateFindings(findings) {
+  const clusters = [];
+  for (const f of findings) {
+    const feat = features(f);
+    const home = clusters.find(c => c.members.some(m => sameIssue(m.feat, feat)));
+    if (home) home.members.push({ f, feat });
+    else clusters.push({ members: [{ f, feat }] });
+  }
+  const merged = clusters.map(c => c.members.length === 1 ? c.members[0].f : mergeCluster(c.members.map(m => m.f)));
+  return { findings: merged, before: findings.length, after: merged.length };
+}
+
+/* ---------------- Similarity ---------------- */
+function features(f) {
+  const refs = new Set((Array.isArray(f.references) ? f.references : [f.references])
+    .concat(f.title || "")
+    .flatMap(r => specificRefs(String(r || ""))));
+  const words = new Set(String(f.title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").split(" ")
+    .filter(w => w && !STOPWORDS.has(w)));
+  return { theme: String(f.theme || "other").toLowerCase(), refs, words };
+}
+
+// Pinpoint references only; umbrella ones ("ACSC Essential Eight", "Privacy Act") don't identify an issue
+export function specificRefs(s) {
+  const out = [];
+  for (const m of s.matchAll(/\bAPP\s*(\d{1,2})\b/gi)) out.push(`app${m[1]}`);
+  for (const m of s.matchAll(/\bIPP\s*(\d{1,2})\b/gi)) out.push(`ipp${m[1]}`);
+  for (const m of s.matchAll(/\bArt(?:icle|\.)?\s*(\d{1,3})\b/gi)) out.push(`art${m[1]}`);
+  return out;
+}
+
+function sameIssue(a, b) {
+  if (a.theme !== b.theme) return false;
+  const sim = jaccard(a.words, b.words);
+  const sharedRef = [...a.refs].some(r => b.refs.has(r));
+  if (sharedRef) return sim >= 0.2 || !a.words.size || !b.words.size;
+  return sim >= 0.6;
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const w of a) if (b.has(w)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+/* ---------------- Merge ---------------- */
+function hasVerifiedQuote(f) {
+  return f.evidence_verified === true && (f.citations || []).some(c => c.verified);
+}
+
+function mergeCluster(members) {
+  const quoted = members.filter(hasVerifiedQuote);
+  const overruled = quoted.length
+    ? members.filter(m => (m.status || "").toLowerCase() === "undisclosed" && !hasVerifiedQuote(m))
+    : [];
+  const kept = members.filter(m => !overruled.includes(m));
+
+  const lead = [...kept].sort((a, b) =>
+    (SEVERITY_ORDER[(a.severity || "").toLowerCase()] ?? 3) - (SEVERITY_ORDER[(b.severity || "").toLowerCase()] ?? 3)
+    || (Number(b.confidence) || 0) - (Number(a.confidence) || 0))[0];
+
+  const citations = [];
+  for (const c of kept.flatMap(m => m.citations || [])) {
+    if (!citations.some(x => x.line === c.line && x.snippet === c.snippet)) citations.push(c);
+  }
+  citations.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+  const out = {
+    ...lead,
+    evidence: unique(kept.map(m => m.evidence)).join("\n"),
+    references: unique(kept.flatMap(m => Array.isArray(m.references) ? m.references : [m.references])),
+    confidence: Math.max(...kept.map(m => Number(m.confidence) || 0)),
+    citations,
+    evidence_verified: kept.every(m => m.evidence_verified !== false),
+    chunks: unique(members.flatMap(m => m.chunks || [])).sort((a, b) => a - b),
+    merged_from: members.map(m => m.id).filter(Boolean)
+  };
+  if (out.evidence_check && !out.evidence_verified) out.evidence_check = "unverified";
+  if (overruled.length) {
+    out.conflicts = overruled.map(m => ({
+      id: m.id, chunks: m.chunks || [], status: m.status, severity: m.severity, evidence: m.evidence,
+      resolution: "overruled by verified quote from another chunk"
+    }));
+  }
+  return out;
+}
+
+function unique(arr) {
+  return [...new Set(arr.filter(x => x !== undefined && x !== null && x !== ""))];
+}
@@ -0,0 +1,268 @@
+// dataflows.js (third-party + cross-border data-flow inventory: recipients, roles, data, purposes, countries)
+import { clausesOf, citationAt, snippetOf } from "./docindex.js";
+import { toFinding } from "./rulepacks.js";
+
+const SNIPPET_CHARS = 160;
+const MAX_CITATIONS = 3;   // per recipient, in the inventory and in gap evidence
+
+/* ---------------- Vocabulary ---------------- */
+// Named vendors commonly found in SaaS / health-tech policies. `hq` only implies an
+// overseas flow when the document itself names no country for that recipient.
+const VENDORS = [
+  { name: "Amazon Web Services", rx: /\b(amazon web services|aws)\b/i, service: "hosting", hq: "United States" },
+  { name: "Microsoft Azure", rx: /\b(microsoft )?azure\b/i, service: "hosting", hq: "United States" },
+  { name: "Google Cloud", rx: /\bgoogle cloud( platform)?\b|\bgcp\b/i, service: "hosting", hq: "United States" },
+  { name: "Google Analytics", rx: /\bgoogle analytics\b/i, service: "analytics", hq: "United States" },
+  { name: "Google Workspace", rx: /\b(google workspace|g suite|gmail)\b/i, service: "email", hq: "United States" },
+  { name: "Microsoft 365", rx: /\b(microsoft|office) 365\b/i, service: "email", hq: "United States" },
+  { name: "Cloudflare", rx: /\bcloudflare\b/i, service: "hosting", hq: "United States" },
+  { name: "Stripe", rx: /\bstripe\b/i, service: "payments", hq: "United States" },
+  { name: "PayPal", rx: /\bpaypal\b/i, service: "payments", hq: "United States" },
+  { name: "Twilio", rx: /\btwilio\b/i, service: "messaging", hq: "United States" },
+  { name: "SendGrid", rx: /\bsendgrid\b/i, service: "email", hq: "United States" },
+  { name: "Mailchimp", rx: /\bmailchimp\b/i, service: "marketing", hq: "United States" },
+  { name: "Salesforce", rx: /\bsalesforce\b/i, service: "crm", hq: "United States" },
+  { name: "HubSpot", rx: /\bhubspot\b/i, service: "crm", hq: "United States" },
+  { name: "Zendesk", rx: /\bzendesk\b/i, service: "support", hq: "United States" },
+  { name: "Intercom", rx: /\bintercom\b/i, service: "support", hq: "United States" },
+  { name: "Mixpanel", rx: /\bmixpanel\b/i, service: "analytics", hq: "United States" },
+  { name: "Sentry", rx: /\bsentry\b/i, service: "monitoring", hq: "United States" },
+  { name: "Datadog", rx: /\bdatadog\b/i, service: "monitoring", hq: "United States" },
+  { name: "Meta", rx: /\b(facebook|meta platforms|meta pixel)\b/i, service: "advertising", hq: "United States" },
+  { name: "OpenAI", rx: /\bopenai\b/i, service: "ai", hq: "United States" },
+  { name: "Atlassian", rx: /\batlassian\b/i, service: "collaboration", hq: "Australia" },
+  { name: "Xero", rx: /\bxero\b/i, service: "accounting", hq: "New Zealand" }
+];
+
+// Unnamed recipients, most specific first; only one is taken per sentence and only when no vendor is named
+const GENERIC = [
+  { name: "Sub-processors", rx: /\bsub-?processors?\b/i, role: "sub_processor" },
+  { name: "Related entities", rx: /\b(related bod(y|ies) corporate|affiliates?|group (companies|entities))\b/i, role: "related_entity" },
+  { name: "Government and regulators", rx: /\b(government (agencies|bodies|departments)|regulators?|law enforcement|courts?|tribunals?)\b/i, role: "government" },
+  { name: "Payment providers", rx: /\bpayment (processors?|providers?|gateways?)\b/i, service: "payments" },
+  { name: "Hosting providers", rx: /\b(cloud|hosting|data cent(re|er)|infrastructure) (service )?providers?\b/i, service: "hosting" },
+  { name: "Analytics providers", rx: /\banalytics (providers?|partners?|services?|tools?)\b/i, service: "analytics" },
+  { name: "Advertising partners", rx: /\b(advertising|marketing) (partners?|networks?|providers?|platforms?)\b/i, service: "advertising" },
+  { name: "Health service providers", rx: /\b(health ?care|health service|medical) (providers?|practitioners?|professionals?)|\b(pathology|pharmac(y|ies)|specialists?)\b/i, service: "clinical", role: "third_party" },
+  { name: "Insurers", rx: /\binsurers?\b|\binsurance (companies|providers?)\b/i, role: "third_party" },
+  { name: "Service providers", rx: /\b(service providers?|contractors?|vendors?|suppliers?)\b/i },
+  { name: "Third parties", rx: /\bthird[- ]part(y|ies)\b/i, role: "third_party" },
+  { name: "Other recipients", rx: /\brecipients?\b/i, role: "third_party" }
+];
+
+// Generic mentions only count in sentences that describe data moving to the recipient
+const SHARING = /\b(disclos|shar|transfer|sen[dt]|provid|stor|host|process|engag|use[sd]?\b|rely on|access|collect)/i;
+
+const ROLES = [
+  ["sub_processor", /\bsub-?processors?\b/i],
+  ["processor", /\bprocessors?\b/i],
+  ["related_entity", /\b(related bod(y|ies) corporate|affiliates?)\b/i]
+];
+
+const DATA_CATEGORIES = [
+  ["health information", /\b(health|medical|clinical|diagnos\w*|prescriptions?|symptoms?|patient records?)\b/i],
+  ["government identifiers", /\b(medicare|ihi|individual healthcare identifier|tax file number|tfn|passport|driver'?s? licen[cs]e|nhi)\b/i],
+  ["contact details", /\b(names?|e-?mail( address(es)?)?|phone( numbers?)?|postal address(es)?|contact (details|information))\b/i],
+  ["payment details", /\b(payment (details|information)|credit card|card (details|numbers?)|billing|bank (account|details))\b/i],
+  ["account credentials", /\b(passwords?|login|credentials|usernames?)\b/i],
+  ["device and online identifiers", /\b(ip address(es)?|device (id|identifiers?|information)|cookies?|browser)\b/i],
+  ["usage data", /\b(usage (data|information)|logs?|analytics data|how you use)\b/i],
+  ["location", /\b(location|gps|geolocation)\b/i],
+  ["communications", /\b(messages?|correspondence|support (tickets?|requests?)|chat)\b/i]
+];
+
+const PURPOSES = [
+  ["hosting and storage", /\b(host\w*|stor(e|age|ed)|infrastructure|cloud|back-?ups?)\b/i],
+  ["payment processing", /\b(payments?|billing|invoic\w*)\b/i],
+  ["analytics", /\b(analytics|analy[sz]e|measur\w*|improv\w*)\b/i],
+  ["marketing", /\b(marketing|advertis\w*|promot\w*|newsletters?)\b/i],
+  ["customer support", /\b(support|help ?desk|customer service)\b/i],
+  ["communications", /\b(e-?mails?|sms|notifications?|messaging)\b/i],
+  ["security and fraud prevention", /\b(fraud|security|monitor\w*|abuse)\b/i],
+  ["legal compliance", /\b(required by law|legal obligations?|comply|compliance|court orders?|subpoena)\b/i],
+  ["clinical care", /\b(treatment|care|clinical|referrals?|diagnos\w*)\b/i]
+];
+
+// Canonical country names; pack `data_flows.home` lists use these spellings
+const COUNTRIES = [
+  // The noun only: "Australian Privacy Principles" or "Australian law" names no destination
+  ["Australia", /\baustralia\b|\b(sydney|melbourne|brisbane|perth|adelaide|canberra)\b/i],
+  ["New Zealand", /\bnew zealand\b|\bauckland\b/i],
+  ["United States", /\b[Uu]nited [Ss]tates\b|\bU\.S\.(A\.)?|\bUSA\b|\bAmerica\b|\bus-(east|west)-\d\b/],
+  ["United Kingdom", /\b[Uu]nited [Kk]ingdom\b|\bUK\b|\b(England|Great Britain)\b/],
+  ["Canada", /\bcanada\b/i], ["Ireland", /\bireland\b|\beu-west-1\b/i], ["Germany", /\bgermany\b|\bfrankfurt\b/i],
+  ["France", /\bfrance\b/i], ["Netherlands", /\b(the )?netherlands\b/i], ["Sweden", /\bsweden\b/i],
+  ["Finland", /\bfinland\b/i], ["Denmark", /\bdenmark\b/i], ["Belgium", /\bbelgium\b/i], ["Spain", /\bspain\b/i],
+  ["Italy", /\bitaly\b/i], ["Poland", /\bpoland\b/i], ["Austria", /\baustria\b/i], ["Norway", /\bnorway\b/i],
+  ["Switzerland", /\bswitzerland\b/i], ["European Economic Area", /\b(european (economic area|union)|EEA|EU)\b/],
+  ["Singapore", /\bsingapore\b/i], ["India", /\bindia\b/i], ["Philippines", /\b(the )?philippines\b/i],
+  ["Japan", /\bjapan\b/i], ["China", /\bchina\b/i], ["Hong Kong", /\bhong kong\b/i], ["South Korea", /\b(south )?korea\b/i],
+  ["Malaysia", /\bmalaysia\b/i], ["Indonesia", /\bindonesia\b/i], ["Vietnam", /\bviet ?nam\b/i], ["Israel", /\bisrael\b/i],
+  ["Brazil", /\bbrazil\b/i], ["South Africa", /\bsouth africa\b/i]
+];
+
+/* ---------------- Extraction ---------------- */
+/**
+ * Build the `data_flows` report section: one row per recipient (named vendor or a
+ * generic class such as "Sub-processors") with role, data categories, purposes and
+ * countries, each read from the sentence naming it (falling back to its clause).
+ *
+ * Each selected pack with a `data_flows` block checks cross-border gaps from its own
+ * `home` countries: a recipient is implied overseas when its text uses the pack's
+ * `overseas_signals` or it is a foreign vendor with no country named, and it is a gap
+ * when no country outside `home` is named. Gaps are listed per flow under
+ * `cross_border_gaps` (the gap finding's first reference, e.g. "APP 8").
+ *
+ * @returns {{flows: object[], gaps: object[], summary: object}}
+ */
+export function extractDataFlows(index, packs) {
+  const byName = new Map();
+  for (const clause of clausesOf(index)) {
+    const hits = sentencesOf(clause).flatMap(s => recipientsIn(s.text).map(r => ({ s, r })));
+    // Clause-wide countries and signals only belong to a recipient when it is the clause's only one
+    const alone = new Set(hits.map(h => h.r.name)).size === 1;
+    const clauseCountries = alone ? matchAll(COUNTRIES, clause.text) : [];
+    const heading = clause.section?.title || "";
+    for (const { s, r } of hits) {
+      const flow = byName.get(r.name) || byName.set(r.name, newFlow(r)).get(r.name);
+      const countries = matchAll(COUNTRIES, s.text);
+      flow.role ||= roleOf(`${heading} ${s.text}`, r);
+      add(matchAll(DATA_CATEGORIES, s.text), flow, "data_categories");
+      add(matchAll(PURPOSES, s.text), flow, "purposes");
+      add(countries.length ? countries : clauseCountries, flow, "countries");
+      flow.texts.push(alone ? clause.text : s.text);
+      if (flow.citations.length < MAX_CITATIONS && !flow.citations.some(c => c.line === s.line)) {
+        flow.citations.push(citationAt(index, s.line, snippetOf(s.text, SNIPPET_CHARS)));
+      }
+    }
+  }
+
+  const flows = [...byName.values()];
+  const gaps = [];
+  for (const p of packs.filter(p => p.data_flows)) {
+    const home = new Set(p.data_flows.home);
+    const signal = new RegExp(p.data_flows.overseas_signals || "$^", "i");
+    const reference = p.data_flows.gap?.references?.[0] || p.jurisdiction;
+    const missing = [];
+    for (const f of flows) {
+      const abroad = f.countries.filter(c => !home.has(c));
+      const implied = f.texts.some(t => signal.test(t)) || (f.hq && !home.has(f.hq) && !f.countries.length);
+      if (abroad.length) f.overseas = true;
+      if (implied && !abroad.length) {
+        f.overseas = true;
+        f.cross_border_gaps.push(reference);
+        missing.push(f.recipient);
+      }
+    }
+    if (missing.length) gaps.push({ pack: p.id, reference, recipients: missing });
+  }
+
+  for (const f of flows) {
+    delete f.texts;
+    delete f.hq;
+    f.role ||= "third_party";
+  }
+  const countries = [...new Set(flows.flatMap(f => f.countries))];
+  return {
+    flows,
+    gaps,
+    summary: {
+      recipients: flows.length,
+      overseas: flows.filter(f => f.overseas).length,
+      countries,
+      gaps: flows.filter(f => f.cross_border_gaps.length).length
+    }
+  };
+}
+
+/**
+ * One finding per pack gap (the pack's `data_flows.gap` template), citing the recipients
+ * whose countries are missing. Skipped when an existing finding already `covered_by` it.
+ * @returns {object[]} the findings that were added
+ */
+export function dataFlowFindings(dataFlows, packs, findings) {
+  const added = [];
+  for (const g of dataFlows.gaps) {
+    const tpl = packs.find(p => p.id === g.pack)?.data_flows?.gap;
+    if (!tpl) continue;
+    // An open finding on the same obligation (e.g. the pack's APP 8 rule) already carries the penalty
+    const covered = tpl.covered_by && findings.some(f => (f.status || "").toLowerCase() !== "disclosed" && new RegExp(tpl.covered_by, "i").test(`${f.theme}:${f.title}`));
+    if (covered) continue;
+    // Recipients named in one sentence share its citation: quote each line once
+    const cited = [...new Map(dataFlows.flows.filter(f => g.recipients.includes(f.recipient))
+      .flatMap(f => f.citations.slice(0, 1)).map(c => [c.line, c])).values()];
+    const f = {
+      ...toFinding(tpl),
+      evidence: cited.map(c => `[LINE ${c.line}] ${c.snippet}`).join("\n") || "Not found",
+      data_flow_recipients: g.recipients
+    };
+    findings.push(f);
+    added.push(f);
+  }
+  return added;
+}
+
+/** CSV for a vendor register: one row per recipient. */
+export function dataFlowsCsv(dataFlows) {
+  const head = ["recipient", "role", "service", "data_categories", "purposes", "countries", "overseas", "cross_border_gaps", "citations"];
+  const rows = (dataFlows?.flows || []).map(f => [
+    f.recipient, f.role, f.service || "", f.data_categories.join("; "), f.purposes.join("; "), f.countries.join("; "),
+    f.overseas ? "yes" : "no", f.cross_border_gaps.join("; "), f.citations.map(c => c.anchor).join("; ")
+  ]);
+  return [head, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* ---------------- Helpers ---------------- */
+function newFlow(r) {
+  return {
+    recipient: r.name, role: r.role || null, service: r.service || null, hq: r.hq || null,
+    data_categories: [], purposes: [], countries: [], overseas: false, cross_border_gaps: [], citations: [], texts: []
+  };
+}
+
+function recipientsIn(text) {
+  const named = VENDORS.filter(v => v.rx.test(text)).map(v => ({ ...v, role: null }));
+  if (named.length) return named;
+  if (!SHARING.test(text)) return [];
+  const generic = GENERIC.find(g => g.rx.test(text));
+  return generic ? [generic] : [];
+}
+
+function roleOf(text, r) {
+  if (r.role) return r.role;
+  return ROLES.find(([, rx]) => rx.test(text))?.[0] || "service_provider";
+}
+
+// Sentences with the line they start on; table rows and bullet items stand alone, the heading is skipped
+function sentencesOf(clause) {
+  const out = [];
+  let current = null;
+  for (const l of clause.lines) {
+    const text = l.text.trim();
+    if (clause.section && l === clause.lines[0] && !/[.;!?]$/.test(text)) continue;
+    if (/\||\t|^[-•*–]\s/.test(text)) {
+      out.push({ line: l.n, text: text.replace(/^[-•*–]\s+/, "") });
+      current = null;
+      continue;
+    }
+    for (const part of text.split(/(?<=[.;!?])\s+/)) {
+      if (current) current.text += ` ${part}`;
+      else out.push(current = { line: l.n, text: part });
+      if (/[.;!?]$/.test(part)) current = null;
+    }
+  }
+  return out;
+}
+
+function matchAll(list, text) {
+  return list.filter(([, rx]) => rx.test(text)).map(([name]) => name);
+}
+
+function add(values, flow, key) {
+  for (const v of values) if (!flow[key].includes(v)) flow[key].push(v);
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
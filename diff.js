@@ -0,0 +1,239 @@
+// diff.js (version-to-version comparison: clause diff, finding deltas, score deltas)
+import { buildIndex } from "./docindex.js";
+import { specificRefs } from "./consolidate.js";
+import { scoreFindings } from "./scoring.js";
+import { resolvePacks } from "./rulepacks.js";
+import { scoredFindings, effectiveStatus } from "./triage.js";
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+const MAX_LCS_CELLS = 250000;   // clause bodies bigger than this fall back to a remove-all/add-all diff
+
+/**
+ * Compare two analysed versions of a document.
+ * @param {{text: string, report: object, label?: string}} a older version
+ * @param {{text: string, report: object, label?: string}} b newer version
+ * @param {{profile?: string, packs?: string|string[]}} [opts] both sides are re-scored under one
+ *   profile, one set of rule packs and one document type (default: the newer report's) so score
+ *   deltas are like-for-like
+ */
+export function compareVersions(a, b, { profile, packs } = {}) {
+  const profileId = profile || b.report?.scores?.profile || a.report?.scores?.profile;
+  const rulePacks = resolvePacks(packs || (b.report?.rule_packs || a.report?.rule_packs || []).map(p => p.id));
+  const docType = b.report?.doc?.document_type || a.report?.doc?.document_type || null;
+  const scoreA = scoreFindings(scoredFindings(a.report.findings), a.text, profileId, rulePacks, docType).scores;
+  const scoreB = scoreFindings(scoredFindings(b.report.findings), b.text, profileId, rulePacks, docType).scores;
+
+  const scores = { profile: scoreB.profile, packs: rulePacks.map(p => `${p.id}@${p.version}`), overall: delta(scoreA.overall, scoreB.overall) };
+  for (const c of Object.keys(scoreB.weights)) scores[c] = delta(scoreA[c], scoreB[c]);
+
+  const clauses = diffClauses(a.text, b.text);
+  const findings = diffFindings(a.report.findings || [], b.report.findings || []);
+  const regressions = findRegressions(findings, scores, a, b);
+
+  return {
+    a: { label: a.label || a.report?.doc?.title || "Version A", title: a.report?.doc?.title, id: a.id || null },
+    b: { label: b.label || b.report?.doc?.title || "Version B", title: b.report?.doc?.title, id: b.id || null },
+    scores,
+    findings,
+    clauses,
+    regressions,
+    summary: {
+      overall_delta: scores.overall.delta,
+      resolved: findings.resolved.length,
+      introduced: findings.introduced.length,
+      unchanged: findings.unchanged.length,
+      clauses_added: clauses.filter(c => c.change === "added").length,
+      clauses_removed: clauses.filter(c => c.change === "removed").length,
+      clauses_changed: clauses.filter(c => c.change === "changed").length,
+      regressions: regressions.length
+    }
+  };
+}
+
+function delta(before, after) {
+  return { before: before ?? null, after: after ?? null, delta: (after ?? 0) - (before ?? 0) };
+}
+
+/* ---------------- Findings ---------------- */
+// Rule-pack findings match on their rule id. Others match on theme + pinpoint references (APP 8,
+// IPP 3, Art. 28…) + normalised title: one reference such as APP 11 covers several distinct findings
+// (retention, security, breach notification), so the references alone would merge them.
+export function findingKey(f) {
+  if (f.rule_id) return `rule|${f.rule_id}`;
+  const refs = [...new Set([].concat(f.references || [], f.title || "").flatMap(r => specificRefs(String(r))))].sort();
+  const theme = String(f.theme || "other").toLowerCase();
+  return `${theme}|${refs.join(",")}|${String(f.title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()}`;
+}
+
+/**
+ * Pair two versions' findings one-to-one by key; within a key the most severe pair up first.
+ * @param {object[]} before
+ * @param {object[]} after
+ * @param {(f: object) => string} [keyOf] findingKey by default
+ * @returns {{pairs: Array<[object, object]>, resolved: object[], introduced: object[]}}
+ */
+export function matchFindings(before, after, keyOf = findingKey) {
+  const groupB = groupBy(after, keyOf);
+  const pairs = [], resolved = [], introduced = [];
+  for (const [key, fa] of groupBy(before, keyOf)) {
+    const a = bySeverity(fa), b = bySeverity(groupB.get(key) || []);
+    a.forEach((f, i) => (i < b.length ? pairs.push([f, b[i]]) : resolved.push(f)));
+    groupB.set(key, b.slice(a.length));
+  }
+  for (const fb of groupB.values()) introduced.push(...fb);
+  return { pairs, resolved, introduced };
+}
+
+// Disclosed findings and those triaged away (accepted risk, false positive, fixed) are not open issues
+function isOpen(f) {
+  return (f.status || "").toLowerCase() !== "disclosed" && effectiveStatus(f) === "open";
+}
+
+function diffFindings(before, after) {
+  const { pairs, resolved, introduced } = matchFindings(before.filter(isOpen), after.filter(isOpen));
+  const unchanged = pairs.map(([fa, fb]) => {
+    const sa = severityOf(fa), sb = severityOf(fb);
+    return {
+      ...brief(fb),
+      severity_before: sa,
+      severity_after: sb,
+      severity_change: SEVERITY_RANK[sb] > SEVERITY_RANK[sa] ? "worse" : SEVERITY_RANK[sb] < SEVERITY_RANK[sa] ? "better" : "same"
+    };
+  });
+  return { resolved: resolved.map(f => brief(f)), introduced: introduced.map(f => brief(f)), unchanged };
+}
+
+function brief(f) {
+  return { key: findingKey(f), id: f.id, theme: f.theme, title: f.title, severity: f.severity, status: f.status, references: f.references || [] };
+}
+
+function severityOf(f) {
+  return (f.severity || "low").toLowerCase();
+}
+
+function bySeverity(list) {
+  return [...list].sort((x, y) => (SEVERITY_RANK[severityOf(y)] || 0) - (SEVERITY_RANK[severityOf(x)] || 0));
+}
+
+function groupBy(list, keyFn) {
+  const m = new Map();
+  for (const x of list) {
+    const k = keyFn(x);
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(x);
+  }
+  return m;
+}
+
+/* ---------------- Clauses ---------------- */
+// A clause is the run of lines under one heading; matched across versions by number + title,
+// then by title alone (renumbered clauses), then by number alone (retitled clauses).
+function clausesOf(text) {
+  const out = [];
+  for (const l of buildIndex(text).lines) {
+    const s = l.section;
+    const id = s ? s.path.join(" › ") : "(preamble)";
+    let c = out[out.length - 1];
+    if (!c || c.id !== id) out.push(c = { id, number: s?.number || null, title: s?.title || "(preamble)", lines: [] });
+    if (l.text.trim()) c.lines.push(l.text.trim());
+  }
+  return out.filter(c => c.lines.length);
+}
+
+function diffClauses(textA, textB) {
+  const A = clausesOf(textA), B = clausesOf(textB);
+  const used = new Set();
+  const norm = s => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  const find = (pred) => B.findIndex((c, i) => !used.has(i) && pred(c));
+
+  const out = [];
+  for (const ca of A) {
+    let j = find(cb => cb.id === ca.id);
+    if (j < 0) j = find(cb => norm(cb.title) === norm(ca.title) && ca.title !== "(preamble)");
+    if (j < 0 && ca.number) j = find(cb => cb.number === ca.number);
+    if (j < 0) { out.push({ change: "removed", clause: label(ca), lines: ca.lines.map(t => ({ op: "-", text: t })) }); continue; }
+    used.add(j);
+    const cb = B[j];
+    const ops = diffLines(ca.lines, cb.lines);
+    const changed = ops.some(o => o.op !== " ");
+    out.push({
+      change: changed ? "changed" : "unchanged",
+      clause: label(cb),
+      ...(label(ca) !== label(cb) ? { previously: label(ca) } : {}),
+      lines: changed ? ops : []
+    });
+  }
+  B.forEach((cb, j) => {
+    if (!used.has(j)) out.push({ change: "added", clause: label(cb), lines: cb.lines.map(t => ({ op: "+", text: t })) });
+  });
+  return out;
+}
+
+function label(c) {
+  return c.number ? `${c.number} ${c.title}` : c.title;
+}
+
+// Line-level LCS diff → [{op: " "|"-"|"+", text}]
+function diffLines(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [...a.map(text => ({ op: "-", text })), ...b.map(text => ({ op: "+", text }))];
+  }
+  const dp = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--)
+    for (let j = b.length - 1; j >= 0; j--)
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { out.push({ op: " ", text: a[i] }); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) out.push({ op: "-", text: a[i++] });
+    else out.push({ op: "+", text: b[j++] });
+  }
+  while (i < a.length) out.push({ op: "-", text: a[i++] });
+  while (j < b.length) out.push({ op: "+", text: b[j++] });
+  return out;
+}
+
+/* ---------------- Regressions ---------------- */
+function findRegressions(findings, scores, a, b) {
+  const out = [];
+  for (const f of findings.introduced) {
+    if (SEVERITY_RANK[(f.severity || "").toLowerCase()] >= SEVERITY_RANK.medium) {
+      out.push({ type: "finding_introduced", key: f.key, message: `New ${f.severity} finding: ${f.title}` });
+    }
+  }
+  for (const f of findings.unchanged) {
+    if (f.severity_change === "worse") {
+      out.push({ type: "severity_worse", key: f.key, message: `${f.title}: severity ${f.severity_before} → ${f.severity_after}` });
+    }
+  }
+  for (const [cat, d] of Object.entries(scores)) {
+    if (d && typeof d === "object" && d.delta < 0) {
+      out.push({ type: "score_drop", category: cat, message: `${cat.replace(/_/g, " ")} score ${d.before} → ${d.after} (${d.delta})` });
+    }
+  }
+
+  // Disclosures the old version was credited for (verified quotes) that no longer appear in the new text
+  const textB = normaliseText(b.text);
+  const seen = new Set();
+  for (const f of a.report.findings || []) {
+    for (const c of f.citations || []) {
+      if (!c.verified || !c.snippet) continue;
+      const snippet = normaliseText(c.snippet);
+      if (snippet.length < 12 || seen.has(snippet) || textB.includes(snippet)) continue;
+      seen.add(snippet);
+      out.push({
+        type: "disclosure_removed",
+        key: findingKey(f),
+        message: `Text cited for "${f.title}" is gone from the new version${c.anchor ? ` (was ${c.anchor})` : ""}`,
+        snippet: c.snippet
+      });
+    }
+  }
+  return out;
+}
+
+function normaliseText(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
@@ -0,0 +1,175 @@
+// docindex.js (line index with page + clause/section anchors for evidence citations)
+
+// Extractors separate pages with a line holding a single form feed (see parser.js)
+export const PAGE_BREAK = "\f";
+
+const NUMBERED_CLAUSE = /^((?:clause|section|part)\s+)?(\d{1,3}(?:\.\d{1,3}){0,4})[.)]?\s+(\S.*)$/i;
+const LETTERED_CLAUSE = /^\(?([a-z]|[ivx]{1,4})\)\s+(\S.*)$/i;
+
+/**
+ * Number every line of the extracted text and work out which page and
+ * clause/section it sits in.
+ * @returns {{lines: Array<{n:number, page:number|null, page_line:number|null, section:{number:string|null,title:string,path:string[]}|null, text:string}>, byNumber: Map<number, object>}}
+ */
+export function buildIndex(text) {
+  const raw = String(text || "").split("\n");
+  const paged = raw.includes(PAGE_BREAK);
+  const lines = [];
+  const byNumber = new Map();
+
+  let page = paged ? 1 : null;
+  let pageLine = 0;
+  let stack = [];   // [{depth, number, title}]
+
+  for (let i = 0; i < raw.length; i++) {
+    const line = raw[i];
+    if (line === PAGE_BREAK) { page++; pageLine = 0; continue; }
+    pageLine++;
+
+    const heading = detectHeading(line, raw[i + 1]);
+    if (heading && heading.depth === null) {
+      // Unnumbered headings nest under the current clause in numbered documents
+      const clause = [...stack].reverse().find(s => s.number);
+      heading.depth = clause ? clause.depth + 1 : 1;
+    }
+    if (heading) {
+      stack = stack.filter(s => s.depth < heading.depth);
+      stack.push(heading);
+    }
+
+    const entry = {
+      n: lines.length + 1,
+      page,
+      page_line: paged ? pageLine : null,
+      section: stack.length ? sectionOf(stack) : null,
+      text: line
+    };
+    lines.push(entry);
+    byNumber.set(entry.n, entry);
+  }
+  return { lines, byNumber };
+}
+
+function sectionOf(stack) {
+  const top = stack[stack.length - 1];
+  const numbered = [...stack].reverse().find(s => s.number);
+  return {
+    number: numbered ? numbered.number : null,
+    title: top.title,
+    path: stack.map(s => (s.number ? `${s.number} ${s.title}` : s.title).trim())
+  };
+}
+
+/**
+ * Group indexed lines into clauses: each section is one clause; text outside any
+ * section falls back to blank-line paragraphs. Blank lines are dropped.
+ * @returns {Array<{key:string, section:object|null, lines:object[], text:string}>}
+ */
+export function clausesOf(index) {
+  const out = [];
+  let current = null;
+  for (const l of index.lines) {
+    const blank = !String(l.text || "").trim();
+    if (l.section) {
+      const key = `s:${l.section.path.join(" › ")}`;
+      if (current?.key !== key) out.push(current = { key, section: l.section, lines: [] });
+    } else if (blank) {
+      current = null;
+      continue;
+    } else if (!current || current.section) {
+      out.push(current = { key: `p:${l.n}`, section: null, lines: [] });
+    }
+    if (!blank) current.lines.push(l);
+  }
+  for (const c of out) c.text = c.lines.map(l => l.text.trim()).join(" ");
+  return out.filter(c => c.lines.length);
+}
+
+/**
+ * Recognise clause headings ("7.2 Disclosure overseas", "Clause 4 Fees") and
+ * unnumbered headings (short title-ish lines followed by body text).
+ */
+function detectHeading(line, next = "") {
+  const s = line.trim();
+  if (!s || s.length > 160) return null;
+
+  const m = s.match(NUMBERED_CLAUSE);
+  // A leading year ("2024 update") is not a clause number, and without a "Clause"/"Section" prefix
+  // the rest must read as a title: "30 days after termination we will…" or a numbered sentence is body text
+  if (m && !/^\d{4}\b/.test(s) && (m[1] || numberedTitle(m[3], next))) {
+    const number = m[2].replace(/\.$/, "");
+    return { depth: number.split(".").length, number, title: shortTitle(m[3]) };
+  }
+  const l = s.match(LETTERED_CLAUSE);
+  if (l) return { depth: 9, number: null, title: `(${l[1]}) ${shortTitle(l[2])}` };
+
+  const words = s.split(/\s+/);
+  const titleish = s === s.toUpperCase() && /[A-Z]/.test(s)
+    || words.filter(w => /^[A-Z0-9&(]/.test(w)).length >= Math.ceil(words.length * 0.6);
+  if (words.length <= 10 && s.length <= 80 && titleish && !/[.;,:]$/.test(s) && String(next).trim()) {
+    return { depth: null, number: null, title: s };
+  }
+  return null;
+}
+
+// Short, capitalised, no closing punctuation, and not a sentence that wraps onto a lower-case next line
+function numberedTitle(rest, next = "") {
+  const words = rest.split(/\s+/);
+  return /^[A-Z(]/.test(rest) && words.length <= 12 && rest.length <= 100 && !/[.;,:!?]$/.test(rest)
+    && !/^[a-z]/.test(String(next).trim());
+}
+
+function shortTitle(s) {
+  const first = s.split(/(?<=[.;:])\s/)[0];
+  return first.length > 60 ? first.slice(0, 57).trimEnd() + "…" : first.replace(/[.;:]$/, "");
+}
+
+/** Compact, human-readable anchor, e.g. "p.4 §7.2 L12". */
+export function anchorLabel({ page, page_line, line, section }) {
+  const parts = [];
+  if (page) parts.push(`p.${page}`);
+  if (section?.number) parts.push(`§${section.number}`);
+  parts.push(`L${page_line || line}`);
+  return parts.join(" ");
+}
+
+/** Build a citation for a global line number (null if the line doesn't exist). */
+export function citationAt(index, n, snippet = "") {
+  const entry = index.byNumber.get(Number(n));
+  if (!entry) return null;
+  const c = {
+    line: entry.n,
+    page: entry.page,
+    page_line: entry.page_line,
+    section: entry.section ? entry.section.path.join(" › ") : null,
+    clause: entry.section?.number || null,
+    snippet: snippet || entry.text.trim()
+  };
+  c.anchor = anchorLabel({ ...c, section: entry.section });
+  return c;
+}
+
+/**
+ * Single-line quote for a citation, cut to `max` characters. Evidence is parsed as
+ * "[LINE n] snippet", so brackets inside the quote would cut it short: they become parentheses.
+ */
+export function snippetOf(text, max) {
+  const s = String(text || "").replace(/\[/g, "(").replace(/\]/g, ")").replace(/\s+/g, " ").trim();
+  return s.length > max ? s.slice(0, max - 1).trimEnd() + "…" : s;
+}
+
+/**
+ * Extract citations from an evidence string written as "[LINE n] <snippet> …".
+ * Unknown line numbers are kept (with nulls) so later verification can flag them.
+ */
+export function citationsFromEvidence(evidence, index) {
+  const out = [];
+  const rx = /\[LINE\s*(\d+)\]\s*([^\[]*)/gi;
+  let m;
+  while ((m = rx.exec(String(evidence || "")))) {
+    const snippet = m[2].trim().replace(/^["“']|["”']$/g, "").trim();
+    out.push(citationAt(index, m[1], snippet) ||
+      { line: Number(m[1]), page: null, page_line: null, section: null, clause: null, snippet, anchor: `L${m[1]}` });
+  }
+  return out;
+}
@@ -0,0 +1,112 @@
+// doctype.js (document-type classifier: privacy policy / terms of service / DPA / mixed bundle)
+import config from "./config.js";
+
+// Title phrases count when they head the document or stand alone as a heading line;
+// body signals are distinct vocabulary hits. Both are case-insensitive.
+const SIGNALS = {
+  privacy_policy: {
+    title: /privacy (policy|notice|statement)|collection notice|privacy collection statement/i,
+    body: [
+      /personal information/i, /we collect/i, /access (to )?(your|the) (personal )?information|request access/i,
+      /correct(ion)? (of )?your/i, /cookies?/i, /privacy officer/i, /\bapp\s*\d+\b/i, /\bipp\s*\d+\b/i,
+      /how we (use|share|disclose)/i, /marketing/i, /opt[ -]?out|unsubscribe/i
+    ]
+  },
+  terms_of_service: {
+    title: /terms (of service|of use|and conditions)|end user licen[cs]e agreement|\beula\b|user agreement|subscription agreement|master services agreement|customer agreement/i,
+    body: [
+      /you agree/i, /licen[cs]e/i, /limitation of liability|liability is limited/i, /indemnif/i, /governing law/i,
+      /terminat/i, /warrant/i, /\bfees?\b|payment/i, /intellectual property/i, /acceptable use/i, /dispute/i
+    ]
+  },
+  dpa: {
+    title: /data (processing|protection) (agreement|addendum)|processing addendum|\bdpa\b/i,
+    body: [
+      /\bprocessor\b/i, /sub-?processors?/i, /\bcontroller\b/i, /(documented )?instructions/i, /audit/i,
+      /personal data breach|security incident/i, /standard contractual clauses|\bsccs?\b/i, /customer (personal )?data/i,
+      /technical and organi[sz]ational measures/i, /data subjects?/i, /(return|deletion|delete).*(terminat|expir)/i
+    ]
+  }
+};
+
+const TYPES = Object.keys(SIGNALS);
+const HEAD_LINES = 6;        // title phrases in the first non-empty lines name the document
+const MIN_SCORE = 4;         // below this nothing is claimed: "other"
+const MIXED_SHARE = 0.5;     // a second type this close to the first (and ≥ MIN_SCORE + 2) makes a bundle
+
+/**
+ * Classify a document.
+ * @param {string} text
+ * @param {{override?: string}} [opts] a caller-supplied type wins (unknown types are a 400)
+ * @returns {{type: string, label: string, components: string[], confidence: number,
+ *   source: "classifier"|"override", scores: object, title: string|null, signals: string[]}}
+ */
+export function classifyDocument(text = "", { override } = {}) {
+  const forced = resolveDocType(override);
+  if (forced) return describe(forced, [forced], 1, "override", {}, null, []);
+
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const scores = {}, titles = {}, signals = [];
+  for (const type of TYPES) {
+    const { title, body } = SIGNALS[type];
+    let score = 0;
+    lines.forEach((line, i) => {
+      if (line.length > 100 || line.split(/\s+/).length > 12 || !title.test(line)) return;
+      // The document's own title weighs more than a heading further down (e.g. a bundled schedule)
+      score += i < HEAD_LINES ? 6 : 3;
+      titles[type] ??= line.replace(/^[#*\d.\s]+/, "").trim();
+      signals.push(`${type}: heading "${line.slice(0, 60)}"`);
+    });
+    for (const rx of body) {
+      if (rx.test(text)) { score += 1; signals.push(`${type}: ${rx.source}`); }
+    }
+    scores[type] = score;
+  }
+
+  const ranked = TYPES.slice().sort((a, b) => scores[b] - scores[a]);
+  const first = ranked[0];
+  const total = TYPES.reduce((sum, t) => sum + scores[t], 0);
+  if (scores[first] < MIN_SCORE) return describe("other", ["other"], 0, "classifier", scores, null, signals);
+
+  const components = ranked.filter(t => t === first ||
+    (scores[t] >= MIN_SCORE + 2 && scores[t] >= scores[first] * MIXED_SHARE && titles[t]));
+  const confidence = Math.round((scores[first] / total) * 100) / 100;
+  if (components.length > 1) return describe("mixed", components, confidence, "classifier", scores, titles[first] || null, signals);
+  return describe(first, [first], confidence, "classifier", scores, titles[first] || null, signals);
+}
+
+/** Validate a caller-supplied type; null when none was given. "mixed" is only ever inferred. */
+export function resolveDocType(id) {
+  if (!id) return null;
+  const type = String(id).trim().toLowerCase();
+  if (!config.docTypes[type] || type === "mixed") {
+    const known = Object.keys(config.docTypes).filter(t => t !== "mixed").join(", ");
+    throw Object.assign(new Error(`Unknown document type "${id}" (expected one of: ${known})`), { status: 400 });
+  }
+  return type;
+}
+
+function describe(type, components, confidence, source, scores, title, signals) {
+  return { type, label: config.docTypes[type]?.label || type, components, confidence, source, scores, title, signals };
+}
+
+/**
+ * Theme weight multipliers for a classification: the type's own, or for a bundle the
+ * largest multiplier any component gives each theme. Unlisted themes keep ×1.
+ */
+export function themeMultipliers(docType) {
+  if (!docType) return {};
+  const out = {};
+  for (const t of docType.components || [docType.type]) {
+    for (const [theme, m] of Object.entries(config.docTypes[t]?.themeMultipliers || {})) {
+      out[theme] = Math.max(out[theme] ?? 0, m);
+    }
+  }
+  // A theme one component leaves alone (×1) shouldn't be shrunk by another component's multiplier
+  if ((docType.components || []).length > 1) {
+    for (const theme of Object.keys(out)) {
+      if (docType.components.some(t => !(theme in (config.docTypes[t]?.themeMultipliers || {})))) out[theme] = Math.max(out[theme], 1);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,185 @@
+// drafting.js (server-side remediation drafting: model-written clause edits anchored at the cited text)
+import { generate } from "./providers.js";
+import { buildIndex, clausesOf } from "./docindex.js";
+import { parseGeminiJson } from "./analysis.js";
+import { redactText, resolveRedaction, restorePlaceholders } from "./redact.js";
+import { quotePattern } from "./redline.js";
+import { effectiveStatus } from "./triage.js";
+
+const MAX_FINDINGS = 15;     // one prompt drafts every selected finding
+const CLAUSE_CHARS = 1800;   // clause text quoted per finding
+
+// Where a finding without a citation most likely belongs: the last section whose heading matches its theme
+const THEME_HEADINGS = {
+  privacy_app: /privacy|personal (information|data)|collect|access|correct|complain/i,
+  security_e8: /secur|protect|safeguard|breach/i,
+  contract_fairness: /terms|liabilit|terminat|variation|changes|indemn|general/i,
+  vendor_sharing: /disclos|shar|third[- ]part|overseas|service providers|transfer/i,
+  cdss_exemption: /clinical|medical|health|decision support/i
+};
+
+/**
+ * Draft remediation edits for a stored report's findings.
+ *
+ * Each selected finding is anchored at the clause it cites (or, for gaps with no citation,
+ * at the section its theme belongs to) and the model writes one edit per finding: a
+ * "replace" of wording quoted verbatim from that clause, or an "insert" after it, with a
+ * short rationale. A replacement whose quote can't be found becomes an insertion. Unfair
+ * terms the model skips fall back to the rule pack's fairer alternative.
+ *
+ * @param {{report: object, extracted_text: string}} record stored report (see store.js)
+ * @param {{findingIds?: string[]|string, provider?: string, model?: string, redact?: string, signal?: AbortSignal}} [opts]
+ *   findingIds defaults to the open, untriaged findings, most severe first
+ * @returns {Promise<{generated_at: string, provider: string, model: string, findings: string[], edits: object[], skipped: object[], redaction: object}>}
+ */
+export async function draftRedline(record, { findingIds, provider, model, redact, signal } = {}) {
+  const findings = selectFindings(record.report?.findings || [], findingIds);
+  // The model sees redacted text only; line numbers are unchanged, so anchors apply to the original
+  const redaction = redactText(record.extracted_text, resolveRedaction(redact));
+  const index = buildIndex(redaction.text);
+  const clauses = clausesOf(index);
+  const targets = findings.map((f, i) => ({ ref: `F${i + 1}`, finding: f, ...anchorFor(f, clauses, index) }));
+
+  const result = await generate(draftingPrompt(targets, record.report, redaction.summary.total > 0), { provider, model, signal });
+  const { items } = parseGeminiJson(result.text);
+
+  const edits = [];
+  const skipped = [];
+  for (const t of targets) {
+    const item = items.find(i => String(i?.ref || "").toUpperCase() === t.ref);
+    const edit = (item && fromModel(item, t)) || fromRules(t);
+    if (edit) edits.push({ id: `E${edits.length + 1}`, ...edit });
+    else skipped.push({ finding_id: t.finding.id, title: t.finding.title, reason: "No usable draft was returned for this finding." });
+  }
+
+  return restorePlaceholders({
+    generated_at: new Date().toISOString(),
+    provider: result.provider,
+    model: result.model,
+    findings: findings.map(f => f.id),
+    edits,
+    skipped,
+    redaction: redaction.summary
+  }, redaction.values);
+}
+
+/* ---------------- Selection + anchors ---------------- */
+function selectFindings(findings, findingIds) {
+  const ids = Array.isArray(findingIds) ? findingIds
+    : String(findingIds || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!ids.length) {
+    const rank = { high: 0, medium: 1, low: 2 };
+    const open = findings.filter(f => (f.status || "").toLowerCase() !== "disclosed" && effectiveStatus(f) === "open")
+      .sort((a, b) => (rank[a.severity] ?? 3) - (rank[b.severity] ?? 3));
+    if (!open.length) throw Object.assign(new Error("The report has no open findings to draft for"), { status: 400 });
+    return open.slice(0, MAX_FINDINGS);
+  }
+  const unknown = ids.filter(id => !findings.some(f => f.id === id));
+  if (unknown.length) throw Object.assign(new Error(`Unknown finding id "${unknown[0]}"`), { status: 400 });
+  if (ids.length > MAX_FINDINGS) {
+    throw Object.assign(new Error(`Select at most ${MAX_FINDINGS} findings per draft (got ${ids.length})`), { status: 400 });
+  }
+  return [...new Set(ids)].map(id => findings.find(f => f.id === id));
+}
+
+// Cited findings may replace wording in their clause; uncited ones (gaps) can only add a clause
+function anchorFor(f, clauses, index) {
+  const line = f.unfair_term?.clauses?.[0]?.line ?? (f.citations || []).find(c => c.verified && c.line != null)?.line;
+  const cited = line != null && clauses.find(c => c.lines.some(l => l.n === line));
+  if (cited) return { clause: cited, line, cited: true };
+  const rx = THEME_HEADINGS[f.theme];
+  const related = rx && clauses.filter(c => c.section && rx.test(c.section.path.join(" "))).pop();
+  const clause = related || clauses[clauses.length - 1] || { section: null, lines: index.lines.slice(-1) };
+  return { clause, line: null, cited: false };
+}
+
+/* ---------------- Prompt ---------------- */
+function draftingPrompt(targets, report, redacted) {
+  const doc = report?.doc || {};
+  return [
+    "<<INSTRUCTIONS>>",
+    `You are drafting tracked changes to a ${doc.document_type?.label || "legal document"} ("${doc.title || "Document"}") for a lawyer to review.`,
+    "For each finding below write ONE edit that fixes it, grounded in the document's existing wording, defined terms and tone, and in the finding's references.",
+    "",
+    "Return ONLY a JSON array. Each item:",
+    "{ref, action, original, text, rationale}",
+    "- ref: the finding's ref, e.g. \"F1\"",
+    "- action: \"replace\" to rewrite wording in the anchored clause, or \"insert\" to add a new clause after it. Findings marked (insert only) must use \"insert\"",
+    "- original: for \"replace\", the exact wording being replaced, copied verbatim from the anchored clause without the [LINE n] prefixes; \"\" for \"insert\"",
+    "- text: the new wording only, ready to paste into the document (no line numbers, no commentary)",
+    "- rationale: one or two sentences on how the edit addresses the finding, citing its references",
+    "Do not invent facts about the business (vendors, countries, retention periods, contact details): write [square-bracket placeholders] for details the client must supply.",
+    redacted ? "Tokens like <EMAIL_1> or <PHONE_2> are redacted values: keep them exactly as written." : null,
+    ...targets.map(findingBlock)
+  ].filter(s => s !== null).join("\n");
+}
+
+function findingBlock({ ref, finding: f, clause, line, cited }) {
+  const where = clause.section ? clause.section.path.join(" › ") : `paragraph at line ${clause.lines[0]?.n}`;
+  return [
+    "",
+    `<<FINDING ${ref}>>${cited ? "" : " (insert only)"}`,
+    `Title: ${f.title || ""}`,
+    `Theme: ${f.theme || ""} • status: ${f.status || ""} • severity: ${f.severity || ""}`,
+    f.impact ? `Issue: ${f.impact}` : "",
+    f.recommendation ? `Recommendation: ${f.recommendation}` : "",
+    (f.references || []).length ? `References: ${f.references.join("; ")}` : "",
+    f.unfair_term?.alternative ? `Fairer alternative from the rule pack: ${f.unfair_term.alternative}` : "",
+    cited ? `Anchored clause (${where}), cited at line ${line}:` : `Nothing in the document addresses this; add a clause after (${where}):`,
+    excerpt(clause, line)
+  ].filter(Boolean).join("\n");
+}
+
+// Long sections are cut to a window around the cited line
+function excerpt(clause, line) {
+  const lines = clause.lines.map(l => `[LINE ${l.n}] ${l.text.trim()}`);
+  let from = Math.max(0, clause.lines.findIndex(l => l.n === line));
+  let to = from + 1;
+  let size = lines[from]?.length || 0;
+  while ((from > 0 || to < lines.length) && size < CLAUSE_CHARS) {
+    if (to < lines.length) size += lines[to++].length;
+    if (from > 0 && size < CLAUSE_CHARS) size += lines[--from].length;
+  }
+  return lines.slice(from, to).join("\n");
+}
+
+/* ---------------- Edits ---------------- */
+function fromModel(item, target) {
+  const text = String(item.text || "").trim();
+  if (!text) return null;
+  let action = item.action === "replace" && target.cited ? "replace" : "insert";
+  let original = action === "replace" ? String(item.original || "").replace(/\[LINE\s*\d+\]\s*/gi, "").replace(/\s+/g, " ").trim() : "";
+  let note = null;
+  if (action === "replace" && !(original && quotePattern(original).test(target.clause.lines.map(l => l.text).join("\n")))) {
+    action = "insert";
+    original = "";
+    note = "The wording the model quoted was not found in the clause, so its draft is inserted after the clause instead.";
+  }
+  return toEdit(target, { action, original, text, rationale: String(item.rationale || "").trim() || target.finding.recommendation || "", source: "model", note });
+}
+
+// Unfair terms carry a fairer alternative: swap it in for the flagged line
+function fromRules(target) {
+  const u = target.finding.unfair_term;
+  const line = u?.alternative && target.clause.lines.find(l => l.n === target.line);
+  if (!line) return null;
+  return toEdit(target, { action: "replace", original: line.text.trim(), text: u.alternative, rationale: u.factor, source: "rules", note: null });
+}
+
+function toEdit({ finding: f, clause, line }, edit) {
+  return {
+    finding_id: f.id,
+    finding_title: f.title,
+    theme: f.theme,
+    severity: f.severity,
+    ...edit,
+    anchor: {
+      line,
+      first: clause.lines[0]?.n ?? null,
+      last: clause.lines[clause.lines.length - 1]?.n ?? null,
+      section: clause.section ? clause.section.path.join(" › ") : null
+    },
+    references: f.references || []
+  };
+}
+
@@ -1,15 +1,20 @@
-// gemini.js (AI Studio only)
+// gemini.js (AI Studio provider; client is created lazily so imports never need a key)
 import { GoogleGenerativeAI } from "@google/generative-ai";
 
-const API_KEY = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-if (!API_KEY) throw new Error("Set GOOGLE_API_KEY (ai.google.dev API key) in .env");
+export const DEFAULT_MODEL = (process.env.GEMINI_MODEL || "gemini-1.5-flash").replace(/-latest|-002$/i, "");
 
-const MODEL_ID = (process.env.GEMINI_MODEL || "gemini-1.5-flash").replace(/-latest|-002$/i, "");
-const client = new GoogleGenerativeAI(API_KEY);
-const model = client.getGenerativeModel({ model: MODEL_ID });
+let client = null;
+function getClient() {
+  if (client) return client;
+  const API_KEY = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+  if (!API_KEY) throw new Error("Set GOOGLE_API_KEY (ai.google.dev API key) in .env");
+  client = new GoogleGenerativeAI(API_KEY);
+  return client;
+}
 
-export async function generateWithGemini(prompt) {
-  const r = await model.generateContent(prompt);
+export async function generateWithGemini(prompt, { model: modelId = DEFAULT_MODEL, signal } = {}) {
+  const model = getClient().getGenerativeModel({ model: modelId });
+  const r = await model.generateContent(prompt, signal ? { signal } : undefined);
   const text = r?.response?.text?.() || r?.response?.text || "";
-  return { provider: "ai", model: MODEL_ID, text };
+  return { provider: "aistudio", model: modelId, text };
 }
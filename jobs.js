@@ -0,0 +1,106 @@
+// jobs.js (in-memory background analysis jobs with progress events + cancellation)
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MIN || 30) * 60 * 1000;
+const jobs = new Map();
+
+/**
+ * Start `work({ signal, progress })` in the background.
+ * `progress(type, data)` appends an event that SSE subscribers receive (and
+ * late subscribers replay). The job ends as done / failed / cancelled.
+ */
+export function startJob(work) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    created_at: new Date().toISOString(),
+    events: [],
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(50);
+  jobs.set(job.id, job);
+
+  const progress = (type, data = {}) => {
+    const event = { seq: job.events.length + 1, type, at: new Date().toISOString(), ...data };
+    job.events.push(event);
+    job.emitter.emit("event", event);
+  };
+
+  Promise.resolve()
+    .then(() => work({ signal: job.controller.signal, progress }))
+    .then(result => {
+      job.result = result;
+      finish(job, "done", progress, { report_id: result?.report_id ?? null });
+    })
+    .catch(e => {
+      if (job.controller.signal.aborted) return finish(job, "cancelled", progress);
+      console.error(e);
+      job.error = { message: e.message || "Analysis failed", status: e.status || 500 };
+      finish(job, "failed", progress, { error: job.error.message });
+    });
+
+  return job;
+}
+
+function finish(job, status, progress, data = {}) {
+  job.status = status;
+  job.finished_at = new Date().toISOString();
+  progress(status, data);
+  job.emitter.emit("end");
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/** Request cancellation; returns false if the job is unknown or already finished. */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.status !== "running") return false;
+  job.controller.abort();
+  return true;
+}
+
+/** Public view of a job (no controller/emitter internals). */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    created_at: job.created_at,
+    finished_at: job.finished_at || null,
+    progress: job.events[job.events.length - 1] || null,
+    error: job.error,
+    result: job.status === "done" ? job.result : null
+  };
+}
+
+/** Stream a job's events as Server-Sent Events, replaying anything already emitted. */
+export function streamJob(job, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  const send = (e) => res.write(`id: ${e.seq}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+  const after = Number(req.headers["last-event-id"]) || 0;
+  job.events.filter(e => e.seq > after).forEach(send);
+  if (job.status !== "running") return res.end();
+
+  // Comment lines keep idle proxies from closing the stream between slow chunks
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const end = () => { cleanup(); res.end(); };
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    job.emitter.off("event", send);
+    job.emitter.off("end", end);
+  };
+  job.emitter.on("event", send);
+  job.emitter.once("end", end);
+  req.on("close", cleanup);
+}
@@ -1,9 +1,13 @@
-// parser.js (Node-safe PDF parsing: no workerSrc)
+// parser.js (content sniffing + extractors: PDF, DOCX, HTML, Markdown, plain text)
 import * as pdfjs from "pdfjs-dist/legacy/build/pdf.mjs";
+import { isZip, readZip } from "./zip.js";
+import { PAGE_BREAK } from "./docindex.js";
 
 // DO NOT set pdfjs.GlobalWorkerOptions.workerSrc in Node.
 // We'll disable the worker per-document instead.
 
+export const SUPPORTED_FORMATS = ["pdf", "docx", "html", "markdown", "text"];
+
 /** Convert Buffer/ArrayBuffer/TypedArray → Uint8Array */
 function toUint8(data) {
   if (data instanceof Uint8Array && !(data instanceof Buffer)) return data;
@@ -14,11 +18,86 @@ function toUint8(data) {
   return Uint8Array.from(data || []);
 }
 
-export async function parseBufferToText(buf) {
+function unsupported(message) {
+  return Object.assign(new Error(message), { status: 415 });
+}
+
+/* ---------------- Public entry ---------------- */
+/**
+ * Sniff and extract a document.
+ * @param {Buffer|Uint8Array|ArrayBuffer} buf
+ * @param {{mimetype?: string, filename?: string}} [hints] upload metadata; magic bytes win over both
+ * @returns {Promise<{format: string, text: string}>}
+ */
+export async function parseDocument(buf, hints = {}) {
   const data = toUint8(buf);
-  return readPdfText(data);
+  const format = detectFormat(data, hints);
+  const text = await EXTRACTORS[format](data);
+  return { format, text };
+}
+
+export async function parseBufferToText(buf, hints) {
+  return (await parseDocument(buf, hints)).text;
+}
+
+/* ---------------- Sniffing ---------------- */
+export function detectFormat(data, { mimetype = "", filename = "" } = {}) {
+  const bytes = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  const mime = mimetype.toLowerCase().split(";")[0].trim();
+  const ext = (filename.toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || "";
+
+  if (bytes.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+
+  if (isZip(bytes)) {
+    let names;
+    try { names = readZip(bytes); } catch { throw unsupported("File looks like a ZIP archive but could not be read"); }
+    if (names.has("word/document.xml")) return "docx";
+    throw unsupported("Unsupported archive type (only .docx Word documents are accepted)");
+  }
+
+  if (bytes.readUInt32BE?.(0) === 0xd0cf11e0) {
+    throw unsupported("Legacy .doc files are not supported; save the document as .docx or PDF");
+  }
+
+  if (looksBinary(bytes)) {
+    throw unsupported(`Unsupported file type${mime ? ` (${mime})` : ""}; upload PDF, DOCX, HTML, Markdown or plain text`);
+  }
+
+  const head = decodeText(bytes.subarray(0, 2048)).trimStart().toLowerCase();
+  if (mime === "text/html" || mime === "application/xhtml+xml" || ext === "html" || ext === "htm" ||
+      /^(<\?xml[^>]*>\s*)?<!doctype html|^<html[\s>]/.test(head)) return "html";
+  if (mime === "text/markdown" || mime === "text/x-markdown" || ext === "md" || ext === "markdown") return "markdown";
+  return "text";
+}
+
+function looksBinary(bytes) {
+  if (bytes.length < 4) return bytes.length === 0;
+  // UTF-16 text is full of NULs but announces itself with a BOM
+  if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) return false;
+  const sample = bytes.subarray(0, 4096);
+  let control = 0;
+  for (const b of sample) {
+    if (b === 0) return true;
+    if (b < 8 || (b > 13 && b < 32)) control++;
+  }
+  return control / sample.length > 0.1;
+}
+
+function decodeText(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  return new TextDecoder("utf-8").decode(bytes).replace(/^\uFEFF/, "");
 }
 
+/* ---------------- Extractors ---------------- */
+const EXTRACTORS = {
+  pdf: readPdfText,
+  docx: readDocxText,
+  html: (data) => htmlToText(decodeText(data)),
+  markdown: (data) => markdownToText(decodeText(data)),
+  text: (data) => tidyLines(decodeText(data))
+};
+
 async function readPdfText(uint8) {
   const doc = await pdfjs.getDocument({
     data: uint8,
@@ -27,11 +106,127 @@ async function readPdfText(uint8) {
     isEvalSupported: false
   }).promise;
 
-  let out = [];
+  const pages = [];
   for (let i = 1; i <= doc.numPages; i++) {
     const page = await doc.getPage(i);
     const textContent = await page.getTextContent();
-    out.push(textContent.items.map(it => it.str).join(" "));
+    pages.push(layoutLines(textContent.items).join("\n"));
   }
-  return out.join("\n").trim();
+  // Pages are separated by a form-feed line so the document index can recover page numbers
+  return pages.join(`\n${PAGE_BREAK}\n`).trim();
+}
+
+/**
+ * Rebuild visual lines from positioned pdfjs text items: items sharing a
+ * baseline (within half a glyph height) form one line, read left → right,
+ * and lines are emitted top → bottom.
+ */
+function layoutLines(items) {
+  const rows = [];
+  for (const it of items) {
+    if (!it.str) continue;
+    const [, , , scaleY, x, y] = it.transform;
+    const h = Math.abs(it.height || scaleY) || 10;
+    let row = rows.find(r => Math.abs(r.y - y) <= Math.min(r.h, h) / 2);
+    if (!row) rows.push(row = { y, h, items: [] });
+    row.items.push({ x, w: it.width || 0, h, str: it.str });
+  }
+
+  rows.sort((a, b) => b.y - a.y);
+  return rows.map(r => {
+    r.items.sort((a, b) => a.x - b.x);
+    let line = "";
+    let end = null;
+    for (const it of r.items) {
+      // Insert a space when there's a visible gap and neither side already has one
+      const gap = end === null ? 0 : it.x - end;
+      if (line && gap > it.h * 0.15 && !/\s$/.test(line) && !/^\s/.test(it.str)) line += " ";
+      line += it.str;
+      end = it.x + it.w;
+    }
+    return line.replace(/\s+/g, " ").trim();
+  }).filter(Boolean);
+}
+
+function readDocxText(uint8) {
+  let xml;
+  try { xml = readZip(uint8).get("word/document.xml")().toString("utf8"); }
+  catch (e) { throw unsupported(`Word document could not be unpacked (${e.message})`); }
+  const body = (xml.match(/<w:body[^>]*>([\s\S]*)<\/w:body>/) || [, xml])[1];
+
+  // One output line per paragraph; tabs and manual breaks inside runs are kept
+  const paragraphs = body.match(/<w:p[\s>][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+  // (tracked deletions live in <w:delText>, which the <w:t> pattern deliberately skips)
+  const lines = paragraphs.map(p => {
+    let line = "";
+    for (const m of p.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g)) {
+      line += m[1] !== undefined ? m[1] : m[0].startsWith("<w:tab") ? "\t" : "\n";
+    }
+    return decodeEntities(line);
+  });
+  return tidyLines(lines.join("\n"));
+}
+
+// Elements whose whole subtree is page chrome rather than document content
+const HTML_BOILERPLATE = ["script", "style", "noscript", "template", "svg", "iframe", "nav", "header", "footer", "aside", "form", "button"];
+const HTML_BLOCKS = "p|div|section|article|main|h[1-6]|li|tr|table|ul|ol|dl|dt|dd|blockquote|pre|figure|figcaption|address|hr";
+
+export function htmlToText(html) {
+  let s = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<head[\s>][\s\S]*?<\/head>/gi, "");
+  for (const tag of HTML_BOILERPLATE) {
+    s = s.replace(new RegExp(`<${tag}[\\s>][\\s\\S]*?<\\/${tag}>`, "gi"), " ");
+  }
+  s = s
+    .replace(/<[^>]+role=["']?(navigation|banner|contentinfo)["']?[^>]*>[\s\S]*?<\/(div|ul|section)>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<(td|th)\b[^>]*>/gi, " ")
+    .replace(new RegExp(`</?(${HTML_BLOCKS})(\\s[^>]*)?>`, "gi"), "\n")
+    .replace(/<[^>]+>/g, "");
+  return tidyLines(decodeEntities(s));
+}
+
+export function markdownToText(md) {
+  const s = String(md || "")
+    .replace(/^---\n[\s\S]*?\n---\n/, "")                    // YAML front matter
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, "$1")              // keep fenced content, drop fences
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")                    // images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")                 // links → link text
+    .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, "$1")      // ATX headings
+    .replace(/^\s{0,3}>\s?/gm, "")                           // blockquotes
+    .replace(/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/gm, "") // table separator rows
+    .replace(/[ \t]*\|[ \t]*/g, "  ")                          // table cells
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, "$1$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/<[^>]+>/g, "");
+  return tidyLines(s);
+}
+
+/* ---------------- Text utilities ---------------- */
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", hellip: "…", copy: "©", reg: "®", sect: "§", middot: "·", bull: "•" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      if (!Number.isFinite(code)) return m;
+      // Out-of-range and lone surrogate code points can't be encoded: show a replacement character
+      return code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? "\ufffd" : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/** Normalise newlines, trim each line, and collapse runs of blank lines. */
+function tidyLines(s) {
+  return String(s || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map(l => l.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
 }
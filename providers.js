@@ -0,0 +1,153 @@
+// providers.js (pluggable LLM layer: AI Studio, Vertex AI, OpenAI-compatible, replay fixtures)
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { generateWithGemini, DEFAULT_MODEL as GEMINI_MODEL } from "./gemini.js";
+import config from "./config.js";
+
+/* ---------------- Vertex AI ---------------- */
+let vertexClient = null;
+async function generateWithVertex(prompt, { model = process.env.VERTEX_MODEL || GEMINI_MODEL } = {}) {
+  if (!vertexClient) {
+    const project = process.env.GOOGLE_CLOUD_PROJECT || process.env.VERTEX_PROJECT;
+    if (!project) throw new Error("Set GOOGLE_CLOUD_PROJECT to use the Vertex AI provider");
+    // Imported on demand so the SDK (and its auth stack) only loads when Vertex is selected
+    const { VertexAI } = await import("@google-cloud/vertexai");
+    vertexClient = new VertexAI({ project, location: process.env.GOOGLE_CLOUD_LOCATION || "us-central1" });
+  }
+  const r = await vertexClient.getGenerativeModel({ model }).generateContent(prompt);
+  const parts = r?.response?.candidates?.[0]?.content?.parts || [];
+  return { provider: "vertex", model, text: parts.map(p => p.text || "").join("") };
+}
+
+/* ---------------- OpenAI-compatible (Ollama, LM Studio, vLLM, …) ---------------- */
+async function generateWithOpenAI(prompt, { model = process.env.OPENAI_MODEL || "llama3.1", signal } = {}) {
+  const base = (process.env.OPENAI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+  const r = await fetch(`${base}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ model, temperature: 0, messages: [{ role: "user", content: prompt }] }),
+    signal
+  });
+  if (!r.ok) {
+    throw Object.assign(new Error(`OpenAI-compatible endpoint returned HTTP ${r.status} ${r.statusText}`),
+      { upstreamStatus: r.status, retryAfterMs: retryAfterMs(r.headers.get("retry-after")) });
+  }
+  const data = await r.json();
+  return { provider: "openai", model: data.model || model, text: data?.choices?.[0]?.message?.content || "" };
+}
+
+/* ---------------- Replay (offline, deterministic) ---------------- */
+// Fixtures are keyed by a hash of the full prompt. A miss returns an empty
+// findings array so analysis falls back to the deterministic heuristics.
+function fixtureDir() {
+  return path.resolve(process.env.LLM_REPLAY_DIR || "fixtures/llm");
+}
+function fixtureKey(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 32);
+}
+
+async function generateWithReplay(prompt, { model } = {}) {
+  const file = path.join(fixtureDir(), fixtureKey(prompt) + ".json");
+  try {
+    const rec = JSON.parse(await fs.readFile(file, "utf8"));
+    return { provider: "replay", model: rec.model || model || "fixture", text: rec.text || "" };
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return { provider: "replay", model: model || "fixture-miss", text: "[]" };
+  }
+}
+
+async function recordFixture(prompt, result) {
+  const dir = process.env.LLM_RECORD_DIR;
+  if (!dir) return;
+  await fs.mkdir(dir, { recursive: true });
+  const rec = { provider: result.provider, model: result.model, text: result.text };
+  await fs.writeFile(path.join(dir, fixtureKey(prompt) + ".json"), JSON.stringify(rec, null, 2));
+}
+
+/* ---------------- Registry ---------------- */
+const PROVIDERS = {
+  aistudio: generateWithGemini,
+  vertex: generateWithVertex,
+  openai: generateWithOpenAI,
+  replay: generateWithReplay
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export function resolveProvider(name) {
+  const key = (name || process.env.LLM_PROVIDER || "aistudio").toLowerCase();
+  if (!PROVIDERS[key]) {
+    throw Object.assign(new Error(`Unknown LLM provider "${key}" (expected one of: ${PROVIDER_NAMES.join(", ")})`), { status: 400 });
+  }
+  return key;
+}
+
+/**
+ * Run a prompt through the selected provider.
+ * `signal` cancels in-flight requests (and backoff waits) where the provider supports it.
+ * Rate limits (429) and server errors (5xx) are retried config.llmRetries times with
+ * exponential backoff and jitter; a Retry-After passed on by the provider wins.
+ * `onRetry({attempt, wait_ms, status})` is told about each retry.
+ * @returns {Promise<{provider: string, model: string, text: string, retries: number}>}
+ */
+export async function generate(prompt, { provider, model, signal, onRetry = () => {} } = {}) {
+  const key = resolveProvider(provider);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await PROVIDERS[key](prompt, { ...(model ? { model } : {}), signal });
+      if (key !== "replay") await recordFixture(prompt, result);
+      return { ...result, retries: attempt };
+    } catch (e) {
+      if (signal?.aborted || attempt >= config.llmRetries || !isRetryable(e)) throw e;
+      const wait = backoffMs(attempt, e);
+      onRetry({ attempt: attempt + 1, wait_ms: wait, status: upstreamStatus(e) });
+      await sleep(wait, signal);
+    }
+  }
+}
+
+/* ---------------- Retry ---------------- */
+// SDK errors carry the HTTP status in different places (or only in the message)
+function upstreamStatus(e) {
+  const s = Number(e?.upstreamStatus ?? e?.status ?? e?.code);
+  if (Number.isInteger(s) && s >= 100 && s < 600) return s;
+  const m = String(e?.message || "").match(/\b(429|5\d\d)\b/);
+  return m ? Number(m[1]) : null;
+}
+
+function isRetryable(e) {
+  const s = upstreamStatus(e);
+  return s === 429 || (s >= 500 && s < 600);
+}
+
+function backoffMs(attempt, e) {
+  if (Number.isFinite(e?.retryAfterMs)) return e.retryAfterMs;
+  const ceiling = config.llmRetryBaseMs * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return undefined;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error("Analysis cancelled"), { name: "AbortError", status: 499 }));
+    };
+    // A long job's signal sees many retries: drop the listener once the wait is over
+    const timer = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,178 @@
+// redact.js (PII + secret redaction before text leaves for a model; stable placeholders mapped back in the report)
+import crypto from "crypto";
+import config from "./config.js";
+
+const STATES = "(?:NSW|VIC|QLD|WA|SA|TAS|ACT|NT)";
+const STREET_TYPES = "(?:Street|St|Road|Rd|Avenue|Ave|Drive|Dr|Lane|Ln|Court|Ct|Place|Pl|Parade|Pde|Boulevard|Blvd|Highway|Hwy|Terrace|Tce|Crescent|Cres|Way|Close|Circuit|Cct|Square|Sq)";
+const LOCALITY = `(?:,?[ ](?:[A-Z][A-Za-z]+[ ]){0,3}${STATES}(?:[ ]\\d{4})?)?`;
+const CONTEXT_CHARS = 60;   // text before an unlabelled number searched for `context`
+
+/**
+ * Detectors in the order they run; each replaces `value` (keeping any `label`, e.g. "ABN ").
+ * Numbers without a label must pass the identifier's checksum, so prices, dates and
+ * clause numbers are left alone. A mod-10 check digit passes about 1 in 10 arbitrary
+ * numbers, so ACNs and Medicare numbers also need their `context` just before them.
+ * `restore: false` keeps the placeholder in the report too.
+ */
+const DETECTORS = {
+  secret: {
+    restore: false,
+    patterns: [
+      /(?<value>-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----)/g,
+      /(?<value>\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|\bAKIA[0-9A-Z]{16}\b|\bAIza[0-9A-Za-z_-]{35}|\bgh[pousr]_[A-Za-z0-9]{30,}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g,
+      /(?<label>\bBearer[ ]+)(?<value>[A-Za-z0-9._~+/-]{20,}=*)/g,
+      /(?<label>\b(?:password|passwd|secret|api[_ -]?key|access[_ -]?token|client[_ -]?secret)["']?[ ]*[:=][ ]*["']?)(?<value>[^\s"',;]{6,})/gi
+    ]
+  },
+  email: {
+    patterns: [/(?<value>\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b)/g]
+  },
+  medicare: {
+    patterns: [/(?<label>\bMedicare(?: card)?(?: (?:number|no\.?))?[:# ]*)?(?<value>\b[2-6]\d{3}[ -]?\d{5}[ -]?\d(?:[ /-]?\d)?\b)/gi],
+    context: /\bmedicare\b/i,
+    valid: (digits, labelled, near) => labelled || (near && medicareCheck(digits))
+  },
+  abn: {
+    patterns: [/(?<label>\bABN[:# ]*)?(?<value>\b\d{2}[ -]?\d{3}[ -]?\d{3}[ -]?\d{3}\b)/gi],
+    valid: (digits, labelled) => labelled || abnCheck(digits)
+  },
+  phone: {
+    patterns: [
+      /(?<value>(?<![\w+])(?:\+61[ -]?|\b0)4\d{2}[ -]?\d{3}[ -]?\d{3}\b)/g,
+      /(?<value>(?<![\w+])(?:\+61[ -]?\(?0?|\(0|\b0)[2378]\)?[ -]?\d{4}[ -]?\d{4}\b)/g,
+      /(?<value>\b1[38]00[ -]?\d{3}[ -]?\d{3}\b)/g
+    ]
+  },
+  acn: {
+    patterns: [/(?<label>\b(?:ACN|ARBN)[:# ]*)?(?<value>\b\d{3}[ -]?\d{3}[ -]?\d{3}\b)/gi],
+    context: /\b(ACN|ARBN|company (number|no)|Pty|Ltd|Limited|incorporated|registered)\b/i,
+    valid: (digits, labelled, near) => labelled || (near && acnCheck(digits))
+  },
+  tfn: {
+    // Tax file numbers are only taken when labelled: their checksum passes too many other 8-9 digit numbers
+    patterns: [/(?<label>\b(?:TFN|tax file number)[:# ]*)(?<value>\b\d{3}[ -]?\d{3}[ -]?\d{2,3}\b)/gi]
+  },
+  address: {
+    patterns: [
+      new RegExp(`(?<value>\\b(?:(?:Level|Unit|Suite|Shop)[ ]\\d+[A-Za-z]?,?[ ])?\\d{1,5}[A-Za-z]?(?:[/-]\\d{1,5})?[ ](?:[A-Z][a-z]+[ ]){1,3}${STREET_TYPES}\\b\\.?${LOCALITY})`, "g"),
+      new RegExp(`(?<value>\\b(?:PO|P\\.O\\.|GPO)[ ]Box[ ]\\d+${LOCALITY})`, "g")
+    ]
+  }
+};
+
+export const REDACTION_KINDS = Object.keys(DETECTORS);
+const PLACEHOLDER = new RegExp(`<(${REDACTION_KINDS.map(k => k.toUpperCase()).join("|")})_(\\d+)>`, "g");
+
+/**
+ * Resolve a request's `redact` value: "0"/"false"/"off" disables, "1"/"true" (or nothing)
+ * uses config.redaction, and a comma-separated list picks kinds. Unknown kinds are a 400.
+ * @returns {{enabled: boolean, kinds: string[]}}
+ */
+export function resolveRedaction(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (!v) return { enabled: config.redaction.enabled, kinds: config.redaction.kinds };
+  if (/^(0|false|no|off)$/.test(v)) return { enabled: false, kinds: [] };
+  if (/^(1|true|yes|on)$/.test(v)) return { enabled: true, kinds: config.redaction.kinds };
+  const kinds = [...new Set(v.split(",").map(s => s.trim()).filter(Boolean))];
+  const unknown = kinds.filter(k => !DETECTORS[k]);
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown redaction kind "${unknown[0]}" (expected one of: ${REDACTION_KINDS.join(", ")})`), { status: 400 });
+  }
+  return { enabled: true, kinds };
+}
+
+/**
+ * Replace detected values with placeholders such as <EMAIL_1>. The same value always
+ * gets the same placeholder, and line breaks are kept so line numbers don't move.
+ * @returns {{text: string, values: Map<string, {kind: string, value: string}>, summary: object}}
+ */
+export function redactText(text, { enabled, kinds } = resolveRedaction()) {
+  const values = new Map();   // placeholder -> { kind, value, occurrences }
+  let out = String(text || "");
+  if (enabled) {
+    const seen = new Map();   // kind:normalised value -> placeholder
+    const counters = {};
+    for (const kind of REDACTION_KINDS.filter(k => kinds.includes(k))) {
+      const d = DETECTORS[kind];
+      for (const rx of d.patterns) {
+        out = out.replace(rx, (...args) => {
+          const match = args[0];
+          const [offset, whole, { label = "", value }] = args.slice(-3);
+          const near = !d.context || d.context.test(whole.slice(Math.max(0, offset - CONTEXT_CHARS), offset));
+          if (d.valid && !d.valid(value.replace(/\D/g, ""), !!label, near)) return match;
+          const key = `${kind}:${value.replace(/\s+/g, "").toLowerCase()}`;
+          let placeholder = seen.get(key);
+          if (!placeholder) {
+            counters[kind] = (counters[kind] || 0) + 1;
+            placeholder = `<${kind.toUpperCase()}_${counters[kind]}>`;
+            seen.set(key, placeholder);
+            values.set(placeholder, { kind, value, occurrences: 0 });
+          }
+          values.get(placeholder).occurrences++;
+          return label + placeholder + "\n".repeat((value.match(/\n/g) || []).length);
+        });
+      }
+    }
+  }
+  return { text: out, values, summary: summarise(enabled, kinds, values, out) };
+}
+
+/**
+ * Put original values back into everything built from redacted text (evidence,
+ * citations, data flows…) so the report reads naturally. Secrets stay redacted.
+ * Returns a copy; strings without placeholders are untouched.
+ */
+export function restorePlaceholders(value, values) {
+  if (!values?.size) return value;
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (m) => {
+      const v = values.get(m);
+      return v && DETECTORS[v.kind].restore !== false ? v.value : m;
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => restorePlaceholders(v, values));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restorePlaceholders(v, values)]));
+  }
+  return value;
+}
+
+// What left the building: counts per kind and placeholder, never the values themselves
+function summarise(enabled, kinds, values, sentText) {
+  const by_kind = {};
+  for (const { kind, occurrences } of values.values()) {
+    by_kind[kind] ??= { values: 0, occurrences: 0 };
+    by_kind[kind].values++;
+    by_kind[kind].occurrences += occurrences;
+  }
+  return {
+    enabled,
+    kinds: enabled ? kinds : [],
+    total: [...values.values()].reduce((n, v) => n + v.occurrences, 0),
+    by_kind,
+    placeholders: [...values.entries()].map(([placeholder, v]) => ({ placeholder, kind: v.kind, occurrences: v.occurrences })),
+    not_restored: REDACTION_KINDS.filter(k => DETECTORS[k].restore === false && by_kind[k]),
+    sent_text_sha256: crypto.createHash("sha256").update(sentText).digest("hex")
+  };
+}
+
+/* ---------------- Checksums ---------------- */
+function abnCheck(d) {
+  if (d.length !== 11) return false;
+  const w = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  const sum = [...d].reduce((s, c, i) => s + (Number(c) - (i === 0 ? 1 : 0)) * w[i], 0);
+  return sum % 89 === 0;
+}
+
+function acnCheck(d) {
+  if (d.length !== 9) return false;
+  const sum = [...d.slice(0, 8)].reduce((s, c, i) => s + Number(c) * (8 - i), 0);
+  return (10 - (sum % 10)) % 10 === Number(d[8]);
+}
+
+function medicareCheck(d) {
+  if (d.length < 10 || d.length > 11) return false;
+  const w = [1, 3, 7, 9, 1, 3, 7, 9];
+  const sum = [...d.slice(0, 8)].reduce((s, c, i) => s + Number(c) * w[i], 0);
+  return sum % 10 === Number(d[8]);
+}
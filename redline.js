@@ -0,0 +1,224 @@
+// redline.js (annotated redline of the source text from drafted edits: HTML and tracked-changes DOCX)
+import { buildIndex } from "./docindex.js";
+import { writeZip } from "./zip.js";
+
+const AUTHOR = "LegalDoc Risk Rater";
+
+/**
+ * Lay drafted edits over the document text.
+ * Replacements delete the quoted wording where it sits (it may span lines) and insert the
+ * new wording right after it; insertions become new paragraphs after their anchor clause.
+ * A replacement that overlaps an earlier one, or whose wording is no longer found, is
+ * turned into an insertion so no draft is lost.
+ * @returns {{blocks: Array<{line: number|null, segments: Array<{type: "text"|"del"|"ins", text: string, edit?: string}>}>, edits: object[]}}
+ */
+export function buildRedline(text, edits) {
+  const { lines } = buildIndex(String(text || "").replace(/\r\n?/g, "\n"));
+  const cuts = new Map();    // line n -> [{start, end, edit, insert?}]
+  const after = new Map();   // line n -> [edit] inserted as paragraphs after that line
+  const applied = [];
+
+  for (const original of edits) {
+    let edit = original;
+    if (edit.action === "replace") {
+      const spans = locate(edit, lines);
+      if (spans && !spans.some(s => (cuts.get(s.n) || []).some(c => s.start < c.end && c.start < s.end))) {
+        spans.forEach((s, i) => {
+          if (!cuts.has(s.n)) cuts.set(s.n, []);
+          cuts.get(s.n).push({ ...s, edit: edit.id, insert: i === spans.length - 1 ? edit.text : null });
+        });
+        applied.push(edit);
+        continue;
+      }
+      edit = { ...edit, action: "insert", original: "", note: spans ? "Overlaps an earlier replacement, so this draft is inserted after the clause instead." : "The quoted wording is no longer in the document, so this draft is inserted after the clause instead." };
+    }
+    const at = Math.min(edit.anchor?.last ?? lines.length, lines.length);
+    if (!after.has(at)) after.set(at, []);
+    after.get(at).push(edit);
+    applied.push(edit);
+  }
+
+  const blocks = [];
+  for (const l of lines) {
+    blocks.push({ line: l.n, segments: segmentsOf(l.text, cuts.get(l.n) || []) });
+    for (const edit of after.get(l.n) || []) {
+      for (const para of edit.text.split(/\n+/).filter(p => p.trim())) {
+        blocks.push({ line: null, segments: [{ type: "ins", text: para.trim(), edit: edit.id }] });
+      }
+    }
+  }
+  return { blocks, edits: applied };
+}
+
+/** Whitespace-insensitive matcher for quoted wording (extraction may re-wrap lines). */
+export function quotePattern(original) {
+  const words = String(original).trim().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(words.join("\\s+"));
+}
+
+// Where the quoted wording sits in the anchor clause, as per-line character ranges
+function locate(edit, lines) {
+  const first = edit.anchor?.first ?? 1;
+  const last = edit.anchor?.last ?? lines.length;
+  const span = lines.filter(l => l.n >= first && l.n <= last);
+  const joined = span.map(l => l.text).join("\n");
+  const m = edit.original && joined.match(quotePattern(edit.original));
+  if (!m) return null;
+  const out = [];
+  let offset = 0;
+  for (const l of span) {
+    const start = Math.max(m.index, offset);
+    const end = Math.min(m.index + m[0].length, offset + l.text.length);
+    if (start < end) out.push({ n: l.n, start: start - offset, end: end - offset });
+    offset += l.text.length + 1;
+  }
+  return out.length ? out : null;
+}
+
+function segmentsOf(text, cuts) {
+  const out = [];
+  let pos = 0;
+  for (const c of [...cuts].sort((a, b) => a.start - b.start)) {
+    if (c.start > pos) out.push({ type: "text", text: text.slice(pos, c.start) });
+    out.push({ type: "del", text: text.slice(c.start, c.end), edit: c.edit });
+    if (c.insert) out.push({ type: "ins", text: c.insert, edit: c.edit });
+    pos = c.end;
+  }
+  if (pos < text.length || !out.length) out.push({ type: "text", text: text.slice(pos) });
+  return out;
+}
+
+// Index of the last segment of each edit, where its marker / comment reference goes
+function lastSegments(blocks) {
+  const last = new Map();
+  blocks.forEach((b, i) => b.segments.forEach((s, j) => { if (s.edit) last.set(s.edit, `${i}:${j}`); }));
+  return last;
+}
+
+/* ---------------- HTML ---------------- */
+/** Standalone HTML page: <del>/<ins> markup, numbered markers and the rationale for each edit. */
+export function redlineHtml(redline, { title = "Document", generatedAt, skipped = [] } = {}) {
+  const last = lastSegments(redline.blocks);
+  const paragraphs = redline.blocks.map((b, i) => {
+    const body = b.segments.map((s, j) => {
+      const text = escapeHtml(s.text);
+      const marked = s.type === "del" ? `<del>${text}</del>` : s.type === "ins" ? `<ins>${text}</ins>` : text;
+      return last.get(s.edit) === `${i}:${j}` ? `${marked}<sup class="ref"><a href="#${s.edit}">${s.edit}</a></sup>` : marked;
+    }).join("");
+    return `<p${b.line === null ? ' class="added"' : ` data-line="${b.line}"`}>${body || "&nbsp;"}</p>`;
+  }).join("\n");
+  const notes = redline.edits.map(e => `<li id="${e.id}"><strong>${e.id} · ${escapeHtml(e.finding_title || "")}</strong>
+  <span class="meta">${escapeHtml(e.action)}${e.anchor?.section ? ` in ${escapeHtml(e.anchor.section)}` : ""} • ${escapeHtml(e.severity || "")} • ${e.source === "rules" ? "rule pack alternative" : "drafted by model"}</span>
+  <p>${escapeHtml(e.rationale || "")}</p>${(e.references || []).length ? `<p class="meta">Refs: ${e.references.map(escapeHtml).join("; ")}</p>` : ""}${e.note ? `<p class="note">${escapeHtml(e.note)}</p>` : ""}</li>`).join("\n");
+  const skippedList = skipped.length
+    ? `<h2>Not drafted</h2><ul>${skipped.map(s => `<li>${escapeHtml(s.title || s.finding_id || "")}: ${escapeHtml(s.reason || "")}</li>`).join("")}</ul>`
+    : "";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Redline: ${escapeHtml(title)}</title>
+<style>
+body { font: 15px/1.6 Georgia, serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1e293b; }
+header { font-family: system-ui, sans-serif; border-bottom: 1px solid #cbd5e1; margin-bottom: 1.5rem; }
+p { margin: 0 0 .4rem; white-space: pre-wrap; }
+p.added { border-left: 3px solid #16a34a; padding-left: .6rem; }
+del { color: #b91c1c; text-decoration: line-through; }
+ins { color: #15803d; text-decoration: underline; }
+sup.ref a { font: 11px system-ui, sans-serif; color: #0369a1; margin-left: 2px; }
+section.notes { font-family: system-ui, sans-serif; font-size: 14px; border-top: 1px solid #cbd5e1; margin-top: 2rem; }
+.meta { color: #64748b; font-size: 12px; display: block; }
+.note { color: #b45309; }
+</style>
+</head>
+<body>
+<header>
+<h1>Redline: ${escapeHtml(title)}</h1>
+<p>${redline.edits.length} drafted edit(s)${generatedAt ? ` • generated ${escapeHtml(generatedAt)}` : ""} • <ins>inserted</ins> <del>deleted</del></p>
+</header>
+<main>
+${paragraphs}
+</main>
+<section class="notes">
+<h2>Rationale</h2>
+<ol>
+${notes}
+</ol>
+${skippedList}
+</section>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+/* ---------------- DOCX ---------------- */
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const DOC_TYPE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+/**
+ * Word document with the edits as tracked changes (w:ins / w:del, so reviewers can accept or
+ * reject each one) and each edit's rationale as a comment on it.
+ * @returns {Buffer}
+ */
+export function redlineDocx(redline, { generatedAt } = {}) {
+  const date = (generatedAt ? new Date(generatedAt) : new Date()).toISOString().replace(/\.\d+Z$/, "Z");
+  const last = lastSegments(redline.blocks);
+  const started = new Set();
+  const commentIds = new Map(redline.edits.map((e, i) => [e.id, i]));
+  let revision = 0;
+  const track = (kind, inner) => `<w:${kind} w:id="${++revision}" w:author="${AUTHOR}" w:date="${date}">${inner}</w:${kind}>`;
+
+  const body = redline.blocks.map((b, i) => {
+    const runs = b.segments.map((s, j) => {
+      let xml = "";
+      const cid = s.edit ? commentIds.get(s.edit) : undefined;
+      if (cid !== undefined && !started.has(s.edit)) { started.add(s.edit); xml += `<w:commentRangeStart w:id="${cid}"/>`; }
+      if (s.type === "text") xml += run(s.text);
+      else if (s.type === "del") xml += track("del", run(s.text, "w:delText"));
+      else xml += track("ins", run(s.text));
+      if (cid !== undefined && last.get(s.edit) === `${i}:${j}`) {
+        xml += `<w:commentRangeEnd w:id="${cid}"/><w:r><w:commentReference w:id="${cid}"/></w:r>`;
+      }
+      return xml;
+    }).join("");
+    // Inserted paragraphs mark their paragraph mark as inserted, so rejecting the edit removes the paragraph
+    const pPr = b.line === null ? `<w:pPr><w:rPr>${track("ins", "")}</w:rPr></w:pPr>` : "";
+    return `<w:p>${pPr}${runs}</w:p>`;
+  }).join("");
+
+  const comments = redline.edits.map((e, i) => {
+    const paras = [
+      `${e.id} · ${e.finding_title || ""}`,
+      e.rationale || "",
+      (e.references || []).length ? `Refs: ${e.references.join("; ")}` : "",
+      e.note || ""
+    ].filter(Boolean).map(t => `<w:p><w:r><w:t xml:space="preserve">${escapeXml(t)}</w:t></w:r></w:p>`).join("");
+    return `<w:comment w:id="${i}" w:author="${AUTHOR}" w:date="${date}" w:initials="LR">${paras}</w:comment>`;
+  }).join("");
+
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return writeZip([
+    { name: "[Content_Types].xml", data: `${xmlHead}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/comments.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml"/></Types>` },
+    { name: "_rels/.rels", data: `${xmlHead}<Relationships xmlns="${REL_NS}"><Relationship Id="rId1" Type="${DOC_TYPE}/officeDocument" Target="word/document.xml"/></Relationships>` },
+    { name: "word/_rels/document.xml.rels", data: `${xmlHead}<Relationships xmlns="${REL_NS}"><Relationship Id="rId1" Type="${DOC_TYPE}/comments" Target="comments.xml"/></Relationships>` },
+    { name: "word/document.xml", data: `${xmlHead}<w:document xmlns:w="${W_NS}"><w:body>${body}<w:sectPr/></w:body></w:document>` },
+    { name: "word/comments.xml", data: `${xmlHead}<w:comments xmlns:w="${W_NS}">${comments}</w:comments>` }
+  ], { date: new Date(date) });
+}
+
+// One run per text piece; characters XML 1.0 can't hold become spaces
+function run(text, tag = "w:t") {
+  return `<w:r><${tag} xml:space="preserve">${escapeXml(text)}</${tag}></w:r>`;
+}
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, " ")
+    .replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
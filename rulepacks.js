@@ -0,0 +1,203 @@
+// rulepacks.js (declarative, versioned rule packs: themes, prompt scope, soft-floor signals, deterministic checks)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "./config.js";
+import { SEVERITIES, STATUSES, stableId } from "./schema.js";
+
+const PACK_DIR = process.env.RULE_PACKS_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "rules");
+
+/* ---------------- Loading ---------------- */
+// Packs are read once at startup; a malformed pack stops the server rather than silently skipping checks
+const PACKS = loadPacks(PACK_DIR);
+
+function loadPacks(dir) {
+  const packs = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const where = path.join(dir, file);
+    let pack;
+    try { pack = JSON.parse(fs.readFileSync(where, "utf8")); }
+    catch (e) { throw new Error(`Rule pack ${where}: ${e.message}`); }
+    const problems = checkPack(pack);
+    if (problems.length) throw new Error(`Rule pack ${where}: ${problems.join("; ")}`);
+    packs.set(pack.id, pack);
+  }
+  return packs;
+}
+
+function checkPack(pack) {
+  const problems = [];
+  for (const key of ["id", "version", "label", "jurisdiction"]) {
+    if (typeof pack[key] !== "string" || !pack[key]) problems.push(`missing "${key}"`);
+  }
+  if (!pack.themes || !Object.keys(pack.themes).length) problems.push(`no themes`);
+  const themes = Object.keys(pack.themes || {});
+  const rules = [...(pack.rules || []), ...(pack.gap_fillers || []), ...(pack.unfair_terms || []),
+    ...(pack.data_flows?.gap ? [pack.data_flows.gap] : [])];
+  const seen = new Set();
+  for (const r of rules) {
+    const at = `rule ${r.id || "(no id)"}`;
+    if (!r.id || !r.version || !r.title) problems.push(`${at}: id, version and title are required`);
+    if (seen.has(r.id)) problems.push(`${at}: duplicate id`);
+    seen.add(r.id);
+    if (!themes.includes(r.theme)) problems.push(`${at}: theme "${r.theme}" is not declared by the pack`);
+    if (!SEVERITIES.includes(r.severity)) problems.push(`${at}: severity "${r.severity}"`);
+    if (r.status && !STATUSES.includes(r.status)) problems.push(`${at}: status "${r.status}"`);
+    for (const t of r.doc_types || []) if (!config.docTypes[t] || t === "mixed") problems.push(`${at}: document type "${t}"`);
+    for (const p of [...(r.patterns || []), ...(r.applies_if || []), ...(r.mitigations || []), ...(r.covered_by ? [r.covered_by] : [])]) {
+      try { new RegExp(p, "i"); } catch (e) { problems.push(`${at}: ${e.message}`); }
+    }
+  }
+  for (const t of pack.unfair_terms || []) {
+    const at = `unfair term ${t.id || "(no id)"}`;
+    if (!t.patterns?.length || !t.factor || !t.alternative) problems.push(`${at}: patterns, factor and alternative are required`);
+    if (t.mitigated_severity && !SEVERITIES.includes(t.mitigated_severity)) problems.push(`${at}: mitigated_severity "${t.mitigated_severity}"`);
+  }
+  if (pack.data_flows) {
+    if (!Array.isArray(pack.data_flows.home) || !pack.data_flows.home.length) problems.push(`data_flows: "home" countries are required`);
+    try { new RegExp(pack.data_flows.overseas_signals || "", "i"); } catch (e) { problems.push(`data_flows: ${e.message}`); }
+  }
+  return problems;
+}
+
+/* ---------------- Selection ---------------- */
+/**
+ * Resolve pack ids ("au,gdpr", ["au","nz"] or nothing → config.defaultRulePacks).
+ * Unknown ids are a 400, like unknown providers and profiles.
+ */
+export function resolvePacks(ids) {
+  const wanted = [].concat(ids || []).join(",").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const list = wanted.length ? [...new Set(wanted)] : config.defaultRulePacks;
+  return list.map(id => {
+    const pack = PACKS.get(id);
+    if (!pack) {
+      const known = [...PACKS.keys()].join(", ");
+      throw Object.assign(new Error(`Unknown rule pack "${id}" (expected one of: ${known})`), { status: 400 });
+    }
+    return pack;
+  });
+}
+
+export function listPacks() {
+  return [...PACKS.values()].map(p => ({
+    id: p.id, version: p.version, label: p.label, jurisdiction: p.jurisdiction, description: p.description,
+    themes: Object.keys(p.themes), rules: (p.rules || []).length
+  }));
+}
+
+/** What the report records: which packs (and versions) produced it. */
+export function packVersions(packs) {
+  return packs.map(p => ({ id: p.id, version: p.version, label: p.label, jurisdiction: p.jurisdiction }));
+}
+
+/* ---------------- Themes + weights ---------------- */
+export function packThemes(packs) {
+  return [...new Set(packs.flatMap(p => Object.keys(p.themes)))];
+}
+
+export function themeLabels(packs) {
+  const out = {};
+  for (const p of packs) for (const [id, t] of Object.entries(p.themes)) out[id] ??= t.label || id;
+  return out;
+}
+
+/**
+ * Weight per scored theme: the scoring profile's weight where it has one, else the
+ * pack's default, times any document-type multiplier. Re-normalised to sum to 1 when
+ * that changed the total, so a single-pack run on a privacy policy keeps the profile's weights exactly.
+ */
+export function packWeights(packs, profileWeights = {}, multipliers = {}) {
+  const weights = {};
+  for (const p of packs) {
+    for (const [id, t] of Object.entries(p.themes)) weights[id] ??= (profileWeights[id] ?? t.weight ?? 0) * (multipliers[id] ?? 1);
+  }
+  const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+  const scale = sum > 0 && Math.abs(sum - 1) > 1e-6 ? 1 / sum : 1;
+  for (const id of Object.keys(weights)) weights[id] = Math.round(weights[id] * scale * 1000) / 1000;
+  return weights;
+}
+
+/** Per-theme signal patterns for the soft-floor detector (any match lifts the floor). */
+export function softFloorSignals(packs) {
+  const out = {};
+  for (const p of packs) {
+    for (const [theme, patterns] of Object.entries(p.soft_floor_signals || {})) {
+      out[theme] = [...(out[theme] || []), ...patterns];
+    }
+  }
+  return out;
+}
+
+/* ---------------- Prompt scope ---------------- */
+export function promptScope(packs) {
+  return {
+    focus: packs.map(p => p.prompt?.focus || p.jurisdiction).join(" + "),
+    assess: packs.map(p => p.prompt?.assess).filter(Boolean).join(";\n"),
+    scope: packs.map(p => p.prompt?.scope || p.label).join(" + "),
+    guidance: packs.flatMap(p => p.prompt?.guidance || [])
+  };
+}
+
+/** Titles of the rules written for this document type (not the general ones), for the prompt. */
+export function checklistFor(packs, docType) {
+  const types = docType?.components || ["other"];
+  return packs.flatMap(p => (p.rules || [])
+    .filter(r => r.doc_types && !r.doc_types.includes("other") && r.doc_types.some(t => types.includes(t)))
+    .map(r => `${r.title} (${(r.references || []).join(", ")})`));
+}
+
+/* ---------------- Deterministic checks ---------------- */
+// Rules without `doc_types` apply to every document; otherwise the document's type (or
+// any component of a mixed bundle) must be listed. Unclassified documents are "other".
+export function appliesTo(rule, docType) {
+  const types = docType?.components || ["other"];
+  return !rule.doc_types || rule.doc_types.some(t => types.includes(t));
+}
+
+// A rule raises its finding when every `applies_if` pattern matches and at least one of
+// its `patterns` does not (patterns are case-insensitive regexes over the whole text).
+function fires(rule, text) {
+  const T = (rx) => new RegExp(rx, "i").test(text || "");
+  if ((rule.applies_if || []).some(p => !T(p))) return false;
+  return (rule.patterns || []).some(p => !T(p));
+}
+
+export function toFinding(rule) {
+  return {
+    id: stableId(rule.theme, rule.title),
+    theme: rule.theme,
+    title: rule.title,
+    status: rule.status || "undisclosed",
+    severity: rule.severity,
+    evidence: rule.evidence || "Not found",
+    impact: rule.impact || "",
+    recommendation: rule.recommendation || "",
+    references: rule.references || [],
+    confidence: rule.confidence ?? 0.6,
+    rule_id: rule.id,
+    rule_version: rule.version
+  };
+}
+
+/** Fallback when the model returned nothing: every pack's rules for this document type run against the text. */
+export function runRules(packs, text, docType) {
+  return packs.flatMap(p => (p.rules || []).filter(r => appliesTo(r, docType) && fires(r, text)).map(toFinding));
+}
+
+/**
+ * Gap-fillers alongside model findings: added only when no finding already covers
+ * them (`covered_by` matched against "theme:title") and their patterns don't match.
+ */
+export function fillGaps(packs, findings, text, docType) {
+  const have = (rx) => findings.some(f => new RegExp(rx, "i").test(`${f.theme}:${f.title}`));
+  for (const p of packs) {
+    for (const r of p.gap_fillers || []) {
+      if (!appliesTo(r, docType)) continue;
+      if (r.covered_by && have(r.covered_by)) continue;
+      if (r.patterns && !fires(r, text)) continue;
+      if (findings.some(x => (x.title || "") === r.title)) continue;
+      findings.push(toFinding(r));
+    }
+  }
+  return findings;
+}
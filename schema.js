@@ -0,0 +1,126 @@
+// schema.js (finding schema: enum normalisation + validation of model output)
+import crypto from "crypto";
+
+export const THEMES = ["privacy_app", "security_e8", "contract_fairness", "vendor_sharing", "cdss_exemption"];
+export const SEVERITIES = ["high", "medium", "low"];
+export const STATUSES = ["disclosed", "partial", "undisclosed", "non_compliant"];
+
+/* ---------------- Enum synonyms ---------------- */
+// Checked in order; first pattern that matches the lower-cased value wins.
+// Only targets in the allowed theme list (the selected rule packs' themes) are considered.
+const THEME_SYNONYMS = [
+  ["gdpr", /gdpr|general data protection|data subject|art(icle)?\.?\s*(13|28|32)\b/],
+  ["privacy_ipp", /\bipps?\b|ipp_?\d|new zealand|privacy act 2020|\bnz\b/],
+  ["cdss_exemption", /cdss|tga|clinical decision|medical device|diagnos/],
+  ["security_e8", /security|e8|essential.?eight|acsc|mfa|patch|backup/],
+  ["vendor_sharing", /vendor|third.?part|sub.?processor|processor|shar|cross.?border|overseas/],
+  ["contract_fairness", /contract|fairness|unfair|terms|liabilit|indemn|consumer law|acl/],
+  ["privacy_app", /privacy|\bapps?\b|app_?\d|personal information|collection|access|correction|retention/]
+];
+const SEVERITY_SYNONYMS = [
+  ["high", /critical|severe|high|major|urgent|significant/],
+  ["medium", /medium|moderate|med\b|elevated/],
+  ["low", /low|minor|info|negligible|trivial/]
+];
+// Negations are checked before the positive words, so "not compliant" or "not met" is never
+// read as disclosed; a value none of these matches falls back to partial/undisclosed.
+const STATUS_SYNONYMS = [
+  ["partial", /partial|incomplete|unclear|vague|ambiguous|limited|\bnot (fully|entirely|completely|clearly|sufficiently)\b/],
+  ["undisclosed", /undisclosed|\bmissing\b|\babsent\b|\bnone\b|\bsilent\b|\b(not|no)\b.*\b(disclos|found|present|mention|stated|address)/],
+  ["non_compliant", /non.?compliant|breach|inadequate|fail|deficien|\bgaps?\b|violat|\b(not|non|no)\b/],
+  ["disclosed", /\b(disclosed|present|compliant|adequate(ly)?|met|satisf(ied|actory|ies)?|ok|found)\b/]
+];
+
+function normaliseEnum(value, allowed, synonyms) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (!v) return null;
+  const key = v.replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+  if (allowed.includes(key)) return key;
+  for (const [target, rx] of synonyms) if (allowed.includes(target) && rx.test(v)) return target;
+  return null;
+}
+
+/* ---------------- Validation ---------------- */
+/**
+ * Validate and normalise raw model findings.
+ * Fixable problems (enum spelling, string references, missing id, "85%"
+ * confidence…) are repaired and reported as warnings; items that can't be
+ * placed (no title, unknown theme/severity, not an object) are dropped with
+ * the reasons, which feed the repair re-prompt.
+ *
+ * @param {unknown[]} items
+ * @param {{themes?: string[]}} [opts] theme enum (rule packs may widen it)
+ * @returns {{valid: object[], dropped: Array<{index:number, item:unknown, errors:string[]}>, warnings: string[]}}
+ */
+export function validateFindings(items, { themes = THEMES } = {}) {
+  const valid = [], dropped = [], warnings = [];
+
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const errors = [];
+    const note = (msg) => warnings.push(`item ${index}: ${msg}`);
+
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      dropped.push({ index, item, errors: ["finding must be a JSON object"] });
+      return;
+    }
+
+    const title = str(item.title);
+    if (!title) errors.push("missing 'title'");
+
+    const theme = normaliseEnum(item.theme, themes, THEME_SYNONYMS);
+    if (!theme) errors.push(`'theme' ${JSON.stringify(item.theme ?? null)} is not one of ${themes.join(", ")}`);
+    else if (theme !== item.theme) note(`theme ${JSON.stringify(item.theme)} → ${theme}`);
+
+    const severity = normaliseEnum(item.severity, SEVERITIES, SEVERITY_SYNONYMS);
+    if (!severity) errors.push(`'severity' ${JSON.stringify(item.severity ?? null)} is not one of ${SEVERITIES.join(", ")}`);
+    else if (severity !== item.severity) note(`severity ${JSON.stringify(item.severity)} → ${severity}`);
+
+    if (errors.length) { dropped.push({ index, item, errors }); return; }
+
+    let status = normaliseEnum(item.status, STATUSES, STATUS_SYNONYMS);
+    if (!status) {
+      status = /not found|n\/a/i.test(str(item.evidence)) ? "undisclosed" : "partial";
+      note(`status ${JSON.stringify(item.status ?? null)} → ${status}`);
+    } else if (status !== item.status) note(`status ${JSON.stringify(item.status)} → ${status}`);
+
+    let references = item.references;
+    if (!Array.isArray(references)) {
+      references = str(references) ? str(references).split(/\s*[;,|]\s*/).filter(Boolean) : [];
+      if (item.references !== undefined) note("references coerced to an array");
+    }
+    references = references.map(str).filter(Boolean);
+
+    let confidence = item.confidence;
+    if (typeof confidence === "string") confidence = parseFloat(confidence) / (/%/.test(confidence) ? 100 : 1);
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+      if (item.confidence !== undefined) note(`confidence ${JSON.stringify(item.confidence)} → 0.5`);
+      confidence = 0.5;
+    }
+
+    const id = str(item.id) || stableId(theme, title);
+    if (!str(item.id)) note(`missing id → ${id}`);
+
+    valid.push({
+      ...item,
+      id, theme, title, status, severity,
+      evidence: Array.isArray(item.evidence) ? item.evidence.map(str).join("\n") : str(item.evidence),
+      impact: str(item.impact),
+      recommendation: str(item.recommendation),
+      references,
+      confidence: Math.round(confidence * 100) / 100
+    });
+  });
+
+  return { valid, dropped, warnings };
+}
+
+/** Deterministic id from theme + title so repeated runs label the same issue the same way. */
+export function stableId(theme, title) {
+  return "F-" + crypto.createHash("sha1").update(`${theme}:${String(title).toLowerCase().trim()}`).digest("hex").slice(0, 8);
+}
+
+function str(v) {
+  if (v === undefined || v === null) return "";
+  return (typeof v === "string" ? v : typeof v === "object" ? JSON.stringify(v) : String(v)).trim();
+}
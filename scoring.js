@@ -0,0 +1,131 @@
+// scoring.js (profile-driven, explainable scoring: penalties → soft floors → hard-fail caps → weighted overall)
+import config from "./config.js";
+import { resolvePacks, packThemes, packWeights, softFloorSignals } from "./rulepacks.js";
+import { themeMultipliers } from "./doctype.js";
+
+/** Look up a scoring profile by id (default: config.defaultProfile). Unknown ids are a 400. */
+export function resolveProfile(id) {
+  const key = id || config.defaultProfile;
+  const profile = config.scoringProfiles[key];
+  if (!profile) {
+    const known = Object.keys(config.scoringProfiles).join(", ");
+    throw Object.assign(new Error(`Unknown scoring profile "${key}" (expected one of: ${known})`), { status: 400 });
+  }
+  return { id: key, ...profile };
+}
+
+export function listProfiles() {
+  return Object.entries(config.scoringProfiles).map(([id, p]) => ({ id, label: p.label, description: p.description }));
+}
+
+/**
+ * Score findings under a profile and explain every step.
+ * Scored categories are the themes of the selected rule packs (default packs if omitted);
+ * a document type (doctype.js classification) re-weights them.
+ * @returns {{scores: object, breakdown: object}} `scores` keeps the report's
+ * historical shape ({overall, weights, <category>: n}); `breakdown` lists each
+ * finding's penalty, floors/caps applied and each category's contribution.
+ */
+export function scoreFindings(findings, rawText, profileId, packs = resolvePacks(), docType = null) {
+  const profile = typeof profileId === "object" && profileId ? profileId : resolveProfile(profileId);
+  const { severityPenalty, softFloor } = profile;
+  const multipliers = themeMultipliers(docType);
+  const weights = packWeights(packs, profile.weights, multipliers);
+  const floors = detectSoftFloors(rawText, softFloorSignals(packs), softFloor);
+
+  const categories = Object.fromEntries(packThemes(packs).map(c => [c, { penalty: 0, findings: 0 }]));
+  const perFinding = findings.map(f => {
+    const sev = (f.severity || "low").toLowerCase();
+    const penalty = severityPenalty[sev] ?? severityPenalty.low;
+    const counted = Boolean(categories[f.theme]);
+    if (counted) { categories[f.theme].penalty += penalty; categories[f.theme].findings++; }
+    return {
+      id: f.id, title: f.title, theme: f.theme, severity: sev, status: f.status,
+      penalty: counted ? penalty : 0,
+      note: counted ? undefined : `theme "${f.theme}" is not scored`
+    };
+  });
+
+  const categoryMap = {};
+  for (const [theme, c] of Object.entries(categories)) {
+    c.raw = Math.max(0, 100 - c.penalty);
+    c.floor = floors[theme] ?? 0;
+    c.floor_applied = c.floor > c.raw;
+    c.score = Math.max(c.raw, c.floor);
+    categoryMap[theme] = c.score;
+  }
+
+  // Hard-fail caps run after floors so a floor can never lift a capped category
+  const caps = applyCaps(profile.hardFailCaps || {}, findings, categories, categoryMap);
+
+  let weightedSum = 0;
+  for (const [theme, c] of Object.entries(categories)) {
+    c.weight = weights[theme] ?? 0;
+    c.contribution = Math.round(c.score * c.weight * 100) / 100;
+    weightedSum += c.score * c.weight;
+  }
+  let overall = Math.round(weightedSum);
+  const overallCap = Math.min(...caps.filter(c => c.applied && c.overall_cap != null).map(c => c.overall_cap));
+  const overallCapped = overall > overallCap;
+  if (overallCapped) overall = overallCap;
+
+  return {
+    scores: { overall, weights, profile: profile.id, ...categoryMap },
+    breakdown: {
+      profile: { id: profile.id, label: profile.label, severity_penalty: severityPenalty, soft_floor: softFloor },
+      packs: packs.map(p => `${p.id}@${p.version}`),
+      doc_type: docType ? { type: docType.type, components: docType.components, multipliers } : null,
+      findings: perFinding,
+      categories,
+      caps,
+      overall: {
+        weighted_sum: Math.round(weightedSum * 100) / 100,
+        cap: Number.isFinite(overallCap) ? overallCap : null,
+        cap_applied: overallCapped,
+        score: overall
+      }
+    }
+  };
+}
+
+/* ---------------- Hard-fail caps ---------------- */
+const CAP_RULES = {
+  // Missing core privacy disclosures (e.g. no APP 1 policy or APP 5 notice) caps privacy and overall
+  privacyWhenCoreMissing(cap, findings) {
+    const core = (cap.core || []).map(r => r.toLowerCase());
+    const missing = findings.filter(f =>
+      f.theme === "privacy_app" && (f.status || "").toLowerCase() === "undisclosed" &&
+      (f.references || []).some(r => core.includes(String(r).toLowerCase().trim())));
+    return missing.length
+      ? { reason: `Core privacy disclosure missing: ${[...new Set(missing.flatMap(f => f.references.filter(r => core.includes(String(r).toLowerCase().trim()))))].join(", ")}`, findings: missing.map(f => f.id) }
+      : null;
+  }
+};
+
+function applyCaps(capConfig, findings, categories, categoryMap) {
+  const out = [];
+  for (const [id, cap] of Object.entries(capConfig)) {
+    if (!cap || cap.enabled === false) continue;
+    const rule = CAP_RULES[id];
+    if (!rule) { out.push({ id, applied: false, reason: "no such cap rule" }); continue; }
+    const hit = rule(cap, findings);
+    const entry = { id, applied: Boolean(hit), reason: hit?.reason || null, findings: hit?.findings || [],
+      category: cap.category || null, category_cap: cap.categoryCap ?? null, overall_cap: cap.overallCap ?? null };
+    if (hit && cap.category && categories[cap.category] && cap.categoryCap != null) {
+      const c = categories[cap.category];
+      c.cap = cap.categoryCap;
+      c.cap_applied = c.score > cap.categoryCap;
+      c.score = Math.min(c.score, cap.categoryCap);
+      categoryMap[cap.category] = c.score;
+    }
+    out.push(entry);
+  }
+  return out;
+}
+
+/* ---------------- Soft floor detector ---------------- */
+// Signal patterns come from the rule packs: a theme with any matching signal gets the floor
+function detectSoftFloors(text = "", signals = {}, SOFT = 20) {
+  const T = (rx) => new RegExp(rx, "i").test(text);
+  return Object.fromEntries(Object.entries(signals).map(([theme, patterns]) => [theme, patterns.some(T) ? SOFT : 0]));
+}
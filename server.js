@@ -4,8 +4,22 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import { fileURLToPath } from "url";
-import { analyzeText } from "./analysis.js";
-import { parseBufferToText } from "./parser.js";
+import { analyzeText, analysisFingerprint, rescoreReport } from "./analysis.js";
+import { parseDocument } from "./parser.js";
+import { PROVIDER_NAMES, resolveProvider } from "./providers.js";
+import { listProfiles, resolveProfile } from "./scoring.js";
+import { listPacks, resolvePacks } from "./rulepacks.js";
+import { resolveDocType } from "./doctype.js";
+import { saveReport, getReport, updateReport, deleteReport, listReports, hashBuffer } from "./store.js";
+import { compareVersions } from "./diff.js";
+import { dataFlowsCsv } from "./dataflows.js";
+import { resolveRedaction } from "./redact.js";
+import { cacheKey, cacheEnabled } from "./cache.js";
+import { draftRedline } from "./drafting.js";
+import { buildRedline, redlineHtml, redlineDocx } from "./redline.js";
+import { applyTriage, carryOverWaivers } from "./triage.js";
+import { startJob, getJob, cancelJob, describeJob, streamJob } from "./jobs.js";
+import config from "./config.js";
 
 // ESM-safe __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -29,22 +43,313 @@ const upload = multer({
   limits: { fileSize: Number(process.env.MAX_FILE_MB || 15) * 1024 * 1024 }
 });
 
-// Analyze uploaded file (no type needed)
+// Parse → analyse → persist one uploaded file. Provider/model/profile/rule packs may be picked
+// per request; otherwise LLM_PROVIDER (default AI Studio), the default profile and RULE_PACKS apply.
+// A file already analysed with the same settings gets its stored report back (cached: true);
+// cache=0 forces a fresh analysis without cached chunk responses either. Waivers recorded on
+// earlier versions (same file name, or the report named by previous_report) carry over.
+async function analyzeUpload(file, req, { onProgress = () => {}, signal } = {}) {
+  const fileHash = hashBuffer(file.buffer);
+  const opts = {
+    provider: req.body?.provider || req.query.provider,
+    model: req.body?.model || req.query.model,
+    profile: req.body?.profile || req.query.profile,
+    packs: req.body?.packs || req.query.packs,
+    docType: req.body?.doc_type || req.query.doc_type,
+    redact: req.body?.redact ?? req.query.redact,
+    onProgress,
+    signal
+  };
+  const useCache = !/^(0|false|no|off)$/i.test(String(req.body?.cache ?? req.query.cache ?? ""));
+  // Looked up first, so an unknown previous_report fails before any model call is paid for
+  const previous = await previousVersions(file.originalname, req.body?.previous_report || req.query.previous_report);
+  // Replayed fixtures are always re-run: they are cheap, and the point is to exercise the pipeline
+  const reportKey = useCache && cacheEnabled() && resolveProvider(opts.provider) !== "replay"
+    ? cacheKey(fileHash, analysisFingerprint(opts))
+    : null;
+  if (reportKey) {
+    const { reports: [hit] } = await listReports({ cache_key: reportKey, limit: 1 });
+    const rec = hit && await withCurrentTriage(await getReport(hit.id));
+    if (rec) {
+      onProgress("cache_hit", { report_id: rec.id, created_at: rec.created_at });
+      const current = await withCarriedWaivers(rec, previous.filter(p => p.id !== rec.id), onProgress);
+      return { id: current.id, text: current.extracted_text, report: { ...current.report, cached: true } };
+    }
+  }
+
+  const { format, text } = await parseDocument(file.buffer, {
+    mimetype: file.mimetype,
+    filename: file.originalname
+  });
+  if (!text || text.trim().length < 20) {
+    throw Object.assign(new Error(`Could not extract meaningful text from ${file.originalname || "file"}`), { status: 400 });
+  }
+  onProgress("parsed", { format, chars: text.length });
+  let report = await analyzeText(text, { ...opts, cache: useCache, sourceType: format });
+  const carried = carryOverWaivers(report.findings, previous);
+  if (carried) {
+    report = rescoreReport(report, text);
+    onProgress("triage", { carried_over: carried });
+  }
+
+  // Every analysis is kept so past reports can be reopened and compared; only a complete one
+  // (every chunk parsed cleanly, none skipped for the token budget) is served again from the cache
+  const complete = (report.diagnostics?.chunks || []).every(c => c.status === "ok");
+  const saved = await saveReport({
+    report,
+    text,
+    fileHash,
+    filename: file.originalname,
+    configSnapshot: configSnapshot(opts.profile, opts.packs, opts.redact),
+    cacheKey: complete ? reportKey : null
+  });
+  return { id: saved.id, text, report };
+}
+
+// Earlier analyses of the same document, newest first: the named report plus up to 10 with the same file name
+async function previousVersions(filename, previousId) {
+  const recs = [];
+  if (previousId) {
+    const rec = await getReport(previousId);
+    if (!rec) throw Object.assign(new Error(`previous_report ${previousId} not found`), { status: 400 });
+    recs.push(rec);
+  }
+  if (filename) {
+    const { reports } = await listReports({ limit: 500 });
+    const same = reports.filter(s => s.id !== previousId && s.filename?.toLowerCase() === filename.toLowerCase()).slice(0, 10);
+    for (const s of same) recs.push(await getReport(s.id));
+  }
+  return recs.filter(Boolean);
+}
+
+// A cached report gets the waivers a fresh analysis would have carried over (and is re-scored)
+async function withCarriedWaivers(rec, previous, onProgress) {
+  if (!carryOverWaivers(structuredClone(rec.report?.findings || []), previous)) return rec;
+  let carried = 0;
+  const updated = await updateReport(rec.id, (r) => {
+    carried = carryOverWaivers(r.report.findings, previous);
+    if (carried) r.report = rescoreReport(r.report, r.extracted_text);
+  });
+  if (carried) onProgress("triage", { carried_over: carried });
+  return updated || rec;
+}
+
+// Waivers that have expired since the report was last scored re-open their findings: re-score before serving
+async function withCurrentTriage(rec) {
+  const next = rec?.report?.triage?.next_expiry;
+  if (!next || Date.parse(next) > Date.now()) return rec;
+  return (await updateReport(rec.id, (r) => { r.report = rescoreReport(r.report, r.extracted_text); })) || rec;
+}
+
+// Analyze uploaded file (no type needed: sniffed from content, MIME type and extension).
+// With async=1 the analysis runs as a background job: 202 + job id, progress via SSE.
 app.post("/api/analyze-file", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-    const text = await parseBufferToText(req.file.buffer);
-    if (!text || text.trim().length < 20) {
-      return res.status(400).json({ error: "Could not extract meaningful text from file" });
+    if (/^(1|true|yes)$/i.test(req.body?.async || req.query.async || "")) {
+      resolveProvider(req.body?.provider || req.query.provider);   // reject bad input now, not mid-job
+      resolveProfile(req.body?.profile || req.query.profile);
+      resolvePacks(req.body?.packs || req.query.packs);
+      resolveDocType(req.body?.doc_type || req.query.doc_type);
+      resolveRedaction(req.body?.redact ?? req.query.redact);
+      await previousVersions(null, req.body?.previous_report || req.query.previous_report);
+      const file = req.file;
+      const job = startJob(async ({ signal, progress }) => {
+        const { id, report } = await analyzeUpload(file, req, { onProgress: progress, signal });
+        return { ...report, report_id: id };
+      });
+      return res.status(202).json({ job_id: job.id, status_url: `/api/jobs/${job.id}`, events_url: `/api/jobs/${job.id}/events` });
     }
-    const report = await analyzeText(text);
-    res.json(report);
+    const { id, report } = await analyzeUpload(req.file, req);
+    res.json({ ...report, report_id: id });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message || "Analysis failed" });
+    res.status(e.status || 500).json({ error: e.message || "Analysis failed" });
   }
 });
 
+/* ---------------- Background jobs ---------------- */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(describeJob(job));
+});
+
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  streamJob(job, req, res);
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!cancelJob(job.id)) return res.status(409).json({ error: `Job already ${job.status}` });
+  res.status(202).json({ id: job.id, status: "cancelling" });
+});
+
+// Providers the UI can offer in its picker. A misconfigured LLM_PROVIDER still lists them,
+// with no default and the configuration error.
+app.get("/api/providers", (_req, res) => {
+  try {
+    res.json({ providers: PROVIDER_NAMES, default: resolveProvider() });
+  } catch (e) {
+    res.json({ providers: PROVIDER_NAMES, default: null, error: e.message });
+  }
+});
+
+/* ---------------- Report history ---------------- */
+app.get("/api/reports", async (req, res) => {
+  try {
+    res.json(await listReports(req.query));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || "Could not list reports" });
+  }
+});
+
+app.get("/api/reports/:id", async (req, res) => {
+  try {
+    const rec = await withCurrentTriage(await getReport(req.params.id));
+    if (!rec) return res.status(404).json({ error: "Report not found" });
+    res.json(rec);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || "Could not load report" });
+  }
+});
+
+// Data-flow inventory as CSV, for importing into a vendor register
+app.get("/api/reports/:id/data-flows.csv", async (req, res) => {
+  try {
+    const rec = await getReport(req.params.id);
+    if (!rec) return res.status(404).json({ error: "Report not found" });
+    res.type("text/csv").attachment(`data-flows-${rec.id}.csv`).send(dataFlowsCsv(rec.report?.data_flows));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || "Could not export data flows" });
+  }
+});
+
+/* ---------------- Triage ---------------- */
+// Set a finding's triage status (open / accepted_risk / false_positive / fixed), add a comment
+// and/or record a waiver ({justification, expires_at}; null removes it). The report is re-scored
+// and returned. `reviewer` names who made the change.
+app.patch("/api/reports/:id/findings/:findingId", async (req, res) => {
+  try {
+    const rec = await updateReport(req.params.id, (r) => {
+      const f = (r.report?.findings || []).find(x => x.id === req.params.findingId);
+      if (!f) throw Object.assign(new Error("Finding not found"), { status: 404 });
+      applyTriage(f, { status: req.body?.status, comment: req.body?.comment, waiver: req.body?.waiver }, { by: req.body?.reviewer || null });
+      r.report = rescoreReport(r.report, r.extracted_text);
+    });
+    if (!rec) return res.status(404).json({ error: "Report not found" });
+    res.json({ ...rec.report, report_id: rec.id, redline: rec.redline });
+  } catch (e) {
+    if (e.status !== 400 && e.status !== 404) console.error(e);
+    res.status(e.status || 500).json({ error: e.message || "Could not update finding" });
+  }
+});
+
+/* ---------------- Clause drafting ---------------- */
+// Draft remediation edits for selected findings (finding_ids; default: the open ones) and keep
+// them with the report, replacing any earlier draft. provider/model/redact as for analysis.
+app.post("/api/reports/:id/redline", async (req, res) => {
+  try {
+    const rec = await getReport(req.params.id);
+    if (!rec) return res.status(404).json({ error: "Report not found" });
+    const draft = await draftRedline(rec, {
+      findingIds: req.body?.finding_ids ?? req.query.finding_ids,
+      provider: req.body?.provider || req.query.provider,
+      model: req.body?.model || req.query.model,
+      redact: req.body?.redact ?? req.query.redact
+    });
+    // Stored as placed: replacements that could not be applied are already insertions here
+    const redline = { ...draft, edits: buildRedline(rec.extracted_text, draft.edits).edits };
+    await updateReport(rec.id, (r) => { r.redline = redline; });
+    res.json({
+      report_id: rec.id,
+      ...redline,
+      downloads: { docx: `/api/reports/${rec.id}/redline.docx`, html: `/api/reports/${rec.id}/redline.html` }
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(e.status || 500).json({ error: e.message || "Drafting failed" });
+  }
+});
+
+// The stored draft as a tracked-changes Word document or an HTML redline
+app.get("/api/reports/:id/redline.:format(docx|html)", async (req, res) => {
+  try {
+    const rec = await getReport(req.params.id);
+    if (!rec) return res.status(404).json({ error: "Report not found" });
+    if (!rec.redline) return res.status(404).json({ error: "No redline drafted for this report yet" });
+    const redline = buildRedline(rec.extracted_text, rec.redline.edits);
+    const meta = { title: rec.title, generatedAt: rec.redline.generated_at, skipped: rec.redline.skipped };
+    if (req.params.format === "html") return res.type("html").send(redlineHtml(redline, meta));
+    res.type("application/vnd.openxmlformats-officedocument.wordprocessingml.document")
+      .attachment(`redline-${rec.id}.docx`)
+      .send(redlineDocx(redline, meta));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || "Could not export redline" });
+  }
+});
+
+app.delete("/api/reports/:id", async (req, res) => {
+  try {
+    if (!(await deleteReport(req.params.id))) return res.status(404).json({ error: "Report not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message || "Could not delete report" });
+  }
+});
+
+/* ---------------- Version compare ---------------- */
+// Each side is either an uploaded file (file_a / file_b) or a stored report id (report_a / report_b)
+app.post("/api/compare", upload.fields([{ name: "file_a", maxCount: 1 }, { name: "file_b", maxCount: 1 }]), async (req, res) => {
+  try {
+    const side = async (key) => {
+      const file = req.files?.[`file_${key}`]?.[0];
+      if (file) return { ...(await analyzeUpload(file, req)), label: file.originalname };
+      const id = req.body?.[`report_${key}`];
+      if (!id) throw Object.assign(new Error(`Provide file_${key} or report_${key}`), { status: 400 });
+      const rec = await getReport(id);
+      if (!rec) throw Object.assign(new Error(`Report ${id} not found`), { status: 404 });
+      return { id: rec.id, text: rec.extracted_text, report: rec.report, label: `${rec.title} (${rec.created_at.slice(0, 10)})` };
+    };
+    const a = await side("a");
+    const b = await side("b");
+    res.json(compareVersions(a, b, { profile: req.body?.profile || req.query.profile, packs: req.body?.packs || req.query.packs }));
+  } catch (e) {
+    console.error(e);
+    res.status(e.status || 500).json({ error: e.message || "Comparison failed" });
+  }
+});
+
+// What produced a stored report: scoring profile, rule packs and redaction as resolved at the time + chunking/repair/budget settings
+function configSnapshot(profile, packs, redact) {
+  const { maxTokensPerChunk, overlapTokens, maxTokensPerDocument, chunkConcurrency, maxRepairAttempts } = config;
+  const rulePacks = resolvePacks(packs).map(p => ({ id: p.id, version: p.version }));
+  return { profile: resolveProfile(profile), rule_packs: rulePacks, redaction: resolveRedaction(redact), maxTokensPerChunk, overlapTokens, maxTokensPerDocument, chunkConcurrency, maxRepairAttempts };
+}
+
+// Scoring profiles for the UI picker
+app.get("/api/profiles", (_req, res) => {
+  res.json({ profiles: listProfiles(), default: config.defaultProfile });
+});
+
+// Rule packs for the UI picker (several may be selected)
+app.get("/api/packs", (_req, res) => {
+  res.json({ packs: listPacks(), default: config.defaultRulePacks });
+});
+
+// Document types the classifier can assign (and that `doc_type` may force)
+app.get("/api/doc-types", (_req, res) => {
+  res.json({ doc_types: Object.entries(config.docTypes).map(([id, t]) => ({ id, label: t.label, theme_multipliers: t.themeMultipliers })) });
+});
+
 // No URL route anymore
 
 const port = process.env.PORT || 3000;
@@ -0,0 +1,165 @@
+// store.js (file-backed report history: one JSON record per analysis + a summary index)
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { scoredFindings } from "./triage.js";
+
+const ROOT = () => path.resolve(process.env.DATA_DIR || "data", "reports");
+const INDEX_FILE = () => path.join(ROOT(), "index.json");
+
+// Index updates are serialised so concurrent analyses can't drop each other's entries
+let queue = Promise.resolve();
+function serial(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function readIndex() {
+  try { return JSON.parse(await fs.readFile(INDEX_FILE(), "utf8")); }
+  catch (e) { if (e.code === "ENOENT") return []; throw e; }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+function recordFile(id) {
+  if (!/^[a-z0-9-]{8,64}$/i.test(id)) return null;
+  return path.join(ROOT(), `${id}.json`);
+}
+
+export function hashBuffer(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function summarise(rec) {
+  const findings = rec.report?.findings || [];
+  const open = scoredFindings(findings);   // triaged-out findings don't count towards "high"
+  return {
+    id: rec.id,
+    created_at: rec.created_at,
+    title: rec.title,
+    filename: rec.filename,
+    file_hash: rec.file_hash,
+    cache_key: rec.cache_key || null,
+    source_type: rec.source_type,
+    provider: rec.provider,
+    model: rec.model,
+    profile: rec.report?.scores?.profile || null,
+    overall: rec.report?.scores?.overall ?? null,
+    findings: findings.length,
+    high: open.filter(f => (f.severity || "").toLowerCase() === "high").length
+  };
+}
+
+/**
+ * Persist an analysis.
+ * @param {{report: object, text: string, fileHash?: string, filename?: string, configSnapshot?: object, cacheKey?: string}} input
+ *   cacheKey: document hash + analysis settings, for finding this report again (see listReports)
+ * @returns {Promise<object>} the index summary (includes the new id)
+ */
+export function saveReport({ report, text, fileHash = null, filename = null, configSnapshot = null, cacheKey = null }) {
+  return serial(async () => {
+    const rec = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      title: report?.doc?.title || filename || "Document",
+      filename,
+      file_hash: fileHash,
+      cache_key: cacheKey,
+      source_type: report?.doc?.source_type || null,
+      provider: report?.doc?.provider || null,
+      model: report?.doc?.model || null,
+      config: configSnapshot,
+      extracted_text: text,
+      report
+    };
+    await writeJson(recordFile(rec.id), rec);
+    const summary = summarise(rec);
+    const index = await readIndex();
+    index.push(summary);
+    await writeJson(INDEX_FILE(), index);
+    return summary;
+  });
+}
+
+/** Full record (report, extracted text, config snapshot) or null. */
+export async function getReport(id) {
+  const file = recordFile(id);
+  if (!file) return null;
+  try { return JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) { if (e.code === "ENOENT") return null; throw e; }
+}
+
+/**
+ * Change a stored record in place: `update(rec)` mutates the record (or returns a new one).
+ * The index summary is refreshed too, so score changes show up in listReports.
+ * @returns {Promise<object|null>} the updated record, or null if there is no such report
+ */
+export function updateReport(id, update) {
+  return serial(async () => {
+    const file = recordFile(id);
+    if (!file) return null;
+    let rec;
+    try { rec = JSON.parse(await fs.readFile(file, "utf8")); }
+    catch (e) { if (e.code === "ENOENT") return null; throw e; }
+    rec = (await update(rec)) || rec;
+    rec.updated_at = new Date().toISOString();
+    await writeJson(file, rec);
+    const index = await readIndex();
+    await writeJson(INDEX_FILE(), index.map(s => (s.id === id ? summarise(rec) : s)));
+    return rec;
+  });
+}
+
+export function deleteReport(id) {
+  return serial(async () => {
+    const file = recordFile(id);
+    if (!file) return false;
+    try { await fs.unlink(file); }
+    catch (e) { if (e.code === "ENOENT") return false; throw e; }
+    const index = await readIndex();
+    await writeJson(INDEX_FILE(), index.filter(s => s.id !== id));
+    return true;
+  });
+}
+
+/**
+ * Search summaries, newest first.
+ * @param {{q?: string, from?: string, to?: string, min_score?: number|string, max_score?: number|string, file_hash?: string, cache_key?: string, limit?: number|string, offset?: number|string}} [query]
+ *   q matches title or filename; from/to are ISO dates (inclusive)
+ */
+export async function listReports(query = {}) {
+  const q = String(query.q || "").toLowerCase().trim();
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to.length <= 10 ? `${query.to}T23:59:59.999Z` : query.to) : null;
+  const min = scoreBound(query.min_score);
+  const max = scoreBound(query.max_score);
+
+  const hits = (await readIndex()).filter(s => {
+    const t = Date.parse(s.created_at);
+    if (q && !`${s.title || ""} ${s.filename || ""}`.toLowerCase().includes(q)) return false;
+    if (query.file_hash && s.file_hash !== query.file_hash) return false;
+    if (query.cache_key && s.cache_key !== query.cache_key) return false;
+    if (from !== null && !Number.isNaN(from) && t < from) return false;
+    if (to !== null && !Number.isNaN(to) && t > to) return false;
+    if (min !== null && !(s.overall >= min)) return false;
+    if (max !== null && !(s.overall <= max)) return false;
+    return true;
+  }).sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  const offset = Math.max(0, Number(query.offset) || 0);
+  const limit = Math.min(500, Math.max(1, Number(query.limit) || 50));
+  return { total: hits.length, reports: hits.slice(offset, offset + limit) };
+}
+
+// Like from/to, a bound that isn't a number is ignored rather than matching nothing
+function scoreBound(v) {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+}
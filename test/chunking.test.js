@@ -0,0 +1,49 @@
+// test/chunking.test.js (token-aware, clause-aligned chunking in chunking.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex } from "../docindex.js";
+import { chunkIndex, estimateTokens } from "../chunking.js";
+
+const sections = (n, body = "We handle personal information about our customers under this clause of the agreement.") =>
+  Array.from({ length: n }, (_, i) => `${i + 1} Section ${i + 1}\n${body}\n${body}`).join("\n\n");
+
+test("estimates never fall below the word count", () => {
+  assert.equal(estimateTokens("a b c d e f"), 6);
+  assert.equal(estimateTokens("x".repeat(40)), 10);
+});
+
+test("chunks stay within budget and cover every line once, ending between clauses", () => {
+  const index = buildIndex(sections(30));
+  const chunks = chunkIndex(index, { maxTokens: 200 });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.ok(c.tokens <= 200, `chunk of ${c.tokens} tokens`);
+    assert.match(c.text.split("\n")[0], /Section/);
+  }
+  const lines = chunks.flatMap(c => c.text.split("\n").map(l => Number(l.match(/^\[LINE (\d+)\]/)[1])));
+  assert.deepEqual(lines, index.lines.filter(l => l.text.trim()).map(l => l.n));
+});
+
+test("overlap repeats the previous chunk's last lines", () => {
+  const chunks = chunkIndex(buildIndex(sections(30)), { maxTokens: 200, overlapTokens: 30 });
+  const [a, b] = chunks;
+  assert.ok(b.first <= a.last);
+  assert.ok(b.text.startsWith(a.text.split("\n").pop()));
+});
+
+test("editing one section leaves chunks away from it unchanged", () => {
+  const before = chunkIndex(buildIndex(sections(40)), { maxTokens: 200 });
+  const edited = sections(40).replace("2 Section 2\n", "2 Section 2\nWe also share data with our payment processor.\n");
+  const after = chunkIndex(buildIndex(edited), { maxTokens: 200 });
+  const tail = (chunks) => chunks.slice(-3).map(c => c.text.replace(/\[LINE \d+\] /g, ""));
+  assert.deepEqual(tail(after), tail(before));
+});
+
+test("a single line over budget is cut into pieces that fit it", () => {
+  for (const line of ["word ".repeat(2000), "a ".repeat(3000)]) {
+    const chunks = chunkIndex(buildIndex(line), { maxTokens: 300 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.tokens <= 300 && c.text.startsWith("[LINE 1] ")));
+    assert.equal(chunks.map(c => c.text.slice("[LINE 1] ".length)).join(""), line);
+  }
+});
@@ -0,0 +1,71 @@
+// test/cli.test.js (baseline gates in cli.js, run against a stub OpenAI-compatible model)
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { fileURLToPath } from "url";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+const POLICY = [
+  "Privacy Policy",
+  "",
+  "1 Retention",
+  "We keep personal information for as long as we need it for our business.",
+  "",
+  "2 Security",
+  "We store personal information on servers operated by our hosting provider."
+].join("\n");
+
+const finding = (title) => ({
+  theme: "privacy_app", title, status: "undisclosed", severity: "high",
+  evidence: "[LINE 4] We keep personal information for as long as we need it", impact: "x", recommendation: "y", references: ["APP 11"]
+});
+
+// The stub answers every chunk with the findings the current test step asks for
+let answer = [];
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ model: "stub", choices: [{ message: { content: JSON.stringify(answer) } }] }));
+  });
+});
+
+// pdfjs prints warnings to stdout, so the summary is read from --out
+function run(args, out, env) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI, ...args, "--out", out], { env: { ...process.env, ...env }, timeout: 60000 }, async (error) => {
+      try { resolve({ code: error ? error.code : 0, summary: JSON.parse(await fs.readFile(out, "utf8")) }); }
+      catch (e) { reject(error || e); }
+    });
+  });
+}
+
+test("--max-new fails on a new finding that shares theme and references with an existing one", async () => {
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "legaldoc-cli-"));
+  try {
+    const doc = path.join(dir, "policy.txt");
+    await fs.writeFile(doc, POLICY);
+    const env = { OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, OPENAI_API_KEY: "test", DATA_DIR: dir, LLM_CACHE: "0", LLM_RETRIES: "0" };
+    const args = ["--provider", "openai", "--packs", "au", "--quiet"];
+
+    answer = [finding("Retention & deletion")];
+    const first = await run([...args, doc], path.join(dir, "baseline.json"), env);
+    assert.equal(first.code, 0);
+
+    answer = [finding("Retention & deletion"), finding("Breach notification timelines")];
+    const second = await run([...args, "--baseline", path.join(dir, "baseline.json"), "--max-new", "0", doc], path.join(dir, "current.json"), env);
+    const [comparison] = second.summary.baseline.comparisons;
+    assert.deepEqual(comparison.introduced.map(f => f.title), ["Breach notification timelines"]);
+    assert.equal(second.code, 1);
+    assert.ok(second.summary.violations.some(v => v.gate === "max-new"));
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+// test/consolidate.test.js (merging per-chunk findings in consolidate.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { consolidateFindings, specificRefs } from "../consolidate.js";
+
+const finding = (id, extra = {}) => ({
+  id, theme: "privacy_app", title: "Overseas disclosure of personal information", severity: "medium", status: "partial",
+  confidence: 0.6, evidence: `[LINE ${id.length}] quote ${id}`, references: ["APP 8"], chunks: [1], evidence_verified: true, citations: [], ...extra
+});
+
+test("findings on one issue from different chunks merge; worst severity leads", () => {
+  const { findings, before, after } = consolidateFindings([
+    finding("a", { chunks: [2], citations: [{ line: 9, snippet: "x", verified: true }] }),
+    finding("bb", { title: "APP 8 overseas disclosure", severity: "high", confidence: 0.5, chunks: [1], references: ["APP 8.1"], citations: [{ line: 3, snippet: "y", verified: true }] })
+  ]);
+  assert.deepEqual([before, after], [2, 1]);
+  const [f] = findings;
+  assert.equal(f.severity, "high");
+  assert.equal(f.confidence, 0.6);
+  assert.deepEqual(f.chunks, [1, 2]);
+  assert.deepEqual(f.merged_from, ["a", "bb"]);
+  assert.deepEqual(f.references, ["APP 8", "APP 8.1"]);
+  assert.deepEqual(f.citations.map(c => c.line), [3, 9]);
+  assert.equal(f.evidence, "[LINE 1] quote a\n[LINE 2] quote bb");
+});
+
+test("an absence claim is overruled by a verified quote from another chunk", () => {
+  const { findings } = consolidateFindings([
+    finding("a", { status: "undisclosed", severity: "high", evidence: "Not found", chunks: [1] }),
+    finding("bb", { chunks: [2], citations: [{ line: 9, snippet: "x", verified: true }] })
+  ]);
+  const [f] = findings;
+  assert.equal(f.id, "bb");
+  assert.equal(f.severity, "medium");
+  assert.equal(f.conflicts.length, 1);
+  assert.equal(f.conflicts[0].id, "a");
+  assert.deepEqual(f.chunks, [1, 2]);
+});
+
+test("different themes, references or titles stay separate", () => {
+  const { after } = consolidateFindings([
+    finding("a"),
+    finding("b", { theme: "security_e8" }),
+    finding("c", { title: "Retention and deletion", references: ["APP 11"] }),
+    finding("d", { title: "Breach notification timelines", references: [] })
+  ]);
+  assert.equal(after, 4);
+});
+
+test("only pinpoint references identify an issue", () => {
+  assert.deepEqual(specificRefs("APP 8.1, IPP 12 and GDPR Art. 28"), ["app8", "ipp12", "art28"]);
+  assert.deepEqual(specificRefs("Privacy Act 1988; ACSC Essential Eight"), []);
+});
@@ -0,0 +1,35 @@
+// test/dataflows.test.js (recipient inventory and cross-border gaps in dataflows.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex } from "../docindex.js";
+import { resolvePacks } from "../rulepacks.js";
+import { extractDataFlows, dataFlowFindings } from "../dataflows.js";
+
+const POLICY = [
+  "Privacy Policy",
+  "",
+  "We handle personal information in line with the Australian Privacy Principles.",
+  "We use Stripe and Twilio to process payments and send SMS messages, consistent with the Australian Privacy Principles."
+].join("\n");
+
+test("the adjective 'Australian' is not a destination country", () => {
+  const flows = extractDataFlows(buildIndex(POLICY), resolvePacks("au"));
+  const stripe = flows.flows.find(f => f.recipient === "Stripe");
+  assert.deepEqual(stripe.countries, []);
+  assert.deepEqual(flows.gaps.find(g => g.pack === "au").recipients.sort(), ["Stripe", "Twilio"]);
+});
+
+test("recipients sharing a sentence are quoted once in the gap finding", () => {
+  const packs = resolvePacks("au");
+  const [gap] = dataFlowFindings(extractDataFlows(buildIndex(POLICY), packs), packs, []);
+  assert.equal(gap.rule_id, "au.flows.app8-countries");
+  assert.equal(gap.evidence.match(/\[LINE 4\]/g).length, 1);
+});
+
+test("the gap is not raised again when an open APP 8 finding already covers it", () => {
+  const packs = resolvePacks("au");
+  const flows = extractDataFlows(buildIndex(POLICY), packs);
+  const app8 = { theme: "privacy_app", title: "APP 8 cross-border disclosures", status: "undisclosed" };
+  assert.equal(dataFlowFindings(flows, packs, [app8]).length, 0);
+  assert.equal(dataFlowFindings(flows, packs, [{ ...app8, status: "disclosed" }]).length, 1);
+});
@@ -0,0 +1,40 @@
+// test/diff.test.js (finding keys and one-to-one matching between versions in diff.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { findingKey, matchFindings, compareVersions } from "../diff.js";
+
+const finding = (title, extra = {}) => ({ id: title, theme: "privacy_app", title, severity: "medium", status: "undisclosed", references: ["APP 11.2"], ...extra });
+
+test("findings sharing theme and references but not title get different keys", () => {
+  assert.notEqual(findingKey(finding("Retention & deletion")), findingKey(finding("APP 11 security gap")));
+  assert.equal(findingKey(finding("Retention: deletion")), findingKey(finding("retention deletion")));
+  assert.equal(findingKey(finding("A", { rule_id: "au.app-8" })), findingKey(finding("B", { rule_id: "au.app-8" })));
+});
+
+test("a new finding that collides on references is introduced, not unchanged", () => {
+  const { pairs, resolved, introduced } = matchFindings([finding("Retention & deletion")], [finding("Retention & deletion"), finding("Breach notification timelines")]);
+  assert.equal(pairs.length, 1);
+  assert.equal(resolved.length, 0);
+  assert.deepEqual(introduced.map(f => f.title), ["Breach notification timelines"]);
+});
+
+test("findings with one key pair one-to-one, most severe first", () => {
+  const a = [finding("Dup", { id: "a1", severity: "low" }), finding("Dup", { id: "a2", severity: "high" })];
+  const b = [finding("Dup", { id: "b1", severity: "high" }), finding("Dup", { id: "b2", severity: "medium" }), finding("Dup", { id: "b3", severity: "low" })];
+  const { pairs, resolved, introduced } = matchFindings(a, b);
+  assert.deepEqual(pairs.map(([x, y]) => [x.id, y.id]), [["a2", "b1"], ["a1", "b2"]]);
+  assert.equal(resolved.length, 0);
+  assert.deepEqual(introduced.map(f => f.id), ["b3"]);
+});
+
+test("compareVersions reports the colliding finding as introduced and a regression", () => {
+  const text = "1 Privacy\nWe keep your data.";
+  const report = (findings) => ({ doc: { title: "Policy" }, findings, scores: { profile: "general-saas" }, rule_packs: [{ id: "au" }] });
+  const result = compareVersions(
+    { text, report: report([finding("Retention & deletion")]) },
+    { text, report: report([finding("Retention & deletion"), finding("Breach notification timelines", { severity: "high" })]) }
+  );
+  assert.deepEqual(result.findings.introduced.map(f => f.title), ["Breach notification timelines"]);
+  assert.equal(result.findings.unchanged.length, 1);
+  assert.ok(result.regressions.some(r => /Breach notification/.test(r.message)));
+});
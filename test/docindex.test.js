@@ -0,0 +1,26 @@
+// test/docindex.test.js (section detection in docindex.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex } from "../docindex.js";
+
+const sectionsOf = (lines) => buildIndex(lines.join("\n")).lines.map(l => l.section?.path.join(" > ") ?? null);
+
+test("numbered body sentences and wrapped lines don't open sections", () => {
+  assert.deepEqual(sectionsOf([
+    "2 Use and disclosure of personal information",
+    "2.1 We may engage sub-processors to help us run the service.",
+    "30 days after termination we will delete",
+    "2.2 We may engage sub-processors who",
+    "help us."
+  ]), Array(5).fill("2 Use and disclosure of personal information"));
+});
+
+test("short numbered titles and explicit clause prefixes still open sections", () => {
+  assert.deepEqual(sectionsOf([
+    "7 Overseas",
+    "7.2 Disclosure overseas",
+    "We use a US host.",
+    "Clause 4 fees, charges and payment terms",
+    "Pay on time."
+  ]), ["7 Overseas", "7 Overseas > 7.2 Disclosure overseas", "7 Overseas > 7.2 Disclosure overseas", "4 fees, charges and payment terms", "4 fees, charges and payment terms"]);
+});
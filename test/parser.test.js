@@ -0,0 +1,30 @@
+// test/parser.test.js (format sniffing and text extraction in parser.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDocument, htmlToText } from "../parser.js";
+import { writeZip } from "../zip.js";
+
+const docx = (body) => writeZip([{ name: "word/document.xml", data: `<w:document><w:body>${body}</w:body></w:document>` }]);
+
+test("numeric entities outside Unicode become U+FFFD instead of failing", async () => {
+  const { format, text } = await parseDocument(Buffer.from("<html><body><p>Fees &#99999999; and &#xD800; apply &#169; &#x2019;</p></body></html>"), { filename: "a.html" });
+  assert.equal(format, "html");
+  assert.equal(text, "Fees � and � apply © ’");
+});
+
+test("DOCX text runs are decoded with the same entity rules", async () => {
+  const { format, text } = await parseDocument(docx("<w:p><w:r><w:t>A &amp; B &#99999999;</w:t></w:r></w:p><w:p><w:r><w:t>Second</w:t></w:r></w:p>"), { filename: "a.docx" });
+  assert.equal(format, "docx");
+  assert.equal(text, "A & B �\nSecond");
+});
+
+test("a DOCX whose document part can't be inflated is a 415", async () => {
+  const zip = docx("<w:p><w:r><w:t>Hello world</w:t></w:r></w:p>");
+  const data = 30 + "word/document.xml".length;   // first local entry's compressed bytes
+  zip.fill(0xff, data, data + 8);
+  await assert.rejects(parseDocument(zip, { filename: "a.docx" }), { status: 415 });
+});
+
+test("list items and table cells lose their attributes", () => {
+  assert.equal(htmlToText(`<ul><li class="item">We collect data</li></ul><table><tr><td class="c">A</td><th scope="col">B</th></tr></table>`), "- We collect data\n\nA B");
+});
@@ -0,0 +1,44 @@
+// test/providers.test.js (retries and cancellation in providers.js, against a stub OpenAI-compatible API)
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+// The stub answers 429 for the first `busy` requests, then a normal completion
+let busy = 0;
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    res.setHeader("Content-Type", "application/json");
+    if (busy-- > 0) { res.statusCode = 429; res.setHeader("Retry-After", "0"); return res.end(JSON.stringify({ error: { message: "busy" } })); }
+    res.end(JSON.stringify({ model: "stub", choices: [{ message: { content: "[]" } }] }));
+  });
+});
+await new Promise(r => server.listen(0, "127.0.0.1", r));
+Object.assign(process.env, { OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, OPENAI_API_KEY: "test", LLM_RETRIES: "3", LLM_RETRY_BASE_MS: "1" });
+const { generate } = await import("../providers.js");
+test.after(() => { server.closeAllConnections(); server.close(); });
+
+test("429s are retried and each backoff removes its abort listener", async () => {
+  const signal = new AbortController().signal;
+  const retries = [];
+  let removed = 0;
+  const remove = signal.removeEventListener.bind(signal);
+  signal.removeEventListener = (type, fn, opts) => { if (type === "abort") removed++; return remove(type, fn, opts); };
+  for (let i = 0; i < 3; i++) {
+    busy = 2;
+    const result = await generate("prompt", { provider: "openai", signal, onRetry: (r) => retries.push(r) });
+    assert.equal(result.retries, 2);
+  }
+  assert.equal(retries.length, 6);
+  assert.equal(retries[0].status, 429);
+  // fetch keeps its own listeners until they are garbage-collected; every backoff must remove its one
+  assert.ok(removed >= retries.length);
+});
+
+test("cancelling during a backoff rejects with an AbortError", async () => {
+  const controller = new AbortController();
+  busy = 5;
+  const pending = generate("prompt", { provider: "openai", signal: controller.signal, onRetry: () => controller.abort() });
+  await assert.rejects(pending, (e) => e.name === "AbortError");
+  busy = 0;
+});
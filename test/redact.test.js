@@ -0,0 +1,64 @@
+// test/redact.test.js (checksum-gated identifiers and pattern detectors in redact.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { redactText, restorePlaceholders, resolveRedaction } from "../redact.js";
+
+const redact = (text, kinds) => redactText(text, resolveRedaction(kinds)).text;
+
+test("ABN: valid checksums are redacted, invalid ones only when labelled", () => {
+  assert.equal(redact("51 824 753 556", "abn"), "<ABN_1>");
+  assert.equal(redact("53004085616", "abn"), "<ABN_1>");
+  assert.equal(redact("51 824 753 557", "abn"), "51 824 753 557");
+  assert.equal(redact("ABN 51 824 753 557", "abn"), "ABN <ABN_1>");
+});
+
+test("ACN: unlabelled numbers need a valid checksum and company context nearby", () => {
+  assert.equal(redact("Acme Pty Ltd (004 085 616)", "acn"), "Acme Pty Ltd (<ACN_1>)");
+  assert.equal(redact("Acme Limited, company number 000 000 019", "acn"), "Acme Limited, company number <ACN_1>");
+  assert.equal(redact("Acme Pty Ltd (004 085 617)", "acn"), "Acme Pty Ltd (004 085 617)");
+  assert.equal(redact("Reference 004 085 616", "acn"), "Reference 004 085 616");
+  assert.equal(redact("ACN 004 085 617", "acn"), "ACN <ACN_1>");
+});
+
+test("Medicare: unlabelled numbers need a valid check digit and 'Medicare' nearby", () => {
+  assert.equal(redact("Your Medicare details are 2123 45670 1", "medicare"), "Your Medicare details are <MEDICARE_1>");
+  assert.equal(redact("Medicare card 2123456701", "medicare"), "Medicare card <MEDICARE_1>");
+  assert.equal(redact("Your Medicare details are 2123 45671 1", "medicare"), "Your Medicare details are 2123 45671 1");
+  assert.equal(redact("Invoice 2123 45670 1", "medicare"), "Invoice 2123 45670 1");
+  assert.equal(redact("Medicare number: 2123 45671 1", "medicare"), "Medicare number: <MEDICARE_1>");
+});
+
+test("numbers that aren't identifiers are left alone", () => {
+  const text = "Clause 12.3: fees of $1,234,567.89 are due by 2024-05-01 (invoice 123 456 789 01).";
+  assert.equal(redact(text, "1"), text);
+});
+
+test("phone numbers: mobile, landline, +61 and 1300/1800 forms", () => {
+  for (const phone of ["0412 345 678", "+61 412 345 678", "(02) 9876 5432", "+61 2 9876 5432", "03-9876-5432", "1300 123 456", "1800123456"]) {
+    assert.equal(redact(`Call ${phone} today`, "phone"), "Call <PHONE_1> today", phone);
+  }
+  assert.equal(redact("Order 10412 345 678", "phone"), "Order 10412 345 678");
+});
+
+test("addresses: street addresses with unit and locality, and PO boxes", () => {
+  assert.equal(redact("Write to Level 5, 123 George Street Sydney NSW 2000.", "address"), "Write to <ADDRESS_1>.");
+  assert.equal(redact("Post to PO Box 123 Melbourne VIC 3000", "address"), "Post to <ADDRESS_1>");
+  assert.equal(redact("See clause 7 Privacy Policy", "address"), "See clause 7 Privacy Policy");
+});
+
+test("the same value keeps one placeholder, line breaks are kept and values are restored", () => {
+  const r = redactText("jo@example.com\nABN 51 824 753 556\ncc jo@example.com", resolveRedaction("1"));
+  assert.equal(r.text, "<EMAIL_1>\nABN <ABN_1>\ncc <EMAIL_1>");
+  assert.equal(r.summary.total, 3);
+  assert.equal(restorePlaceholders("Contact <EMAIL_1> (<ABN_1>)", r.values), "Contact jo@example.com (51 824 753 556)");
+});
+
+test("secrets are redacted and never restored", () => {
+  const r = redactText("api_key=abcdef123456 and sk_live_abcdefghijklmnop", resolveRedaction("secret"));
+  assert.match(r.text, /^api_key=<SECRET_\d> and <SECRET_\d>$/);
+  assert.equal(restorePlaceholders(r.text, r.values), r.text);
+});
+
+test("unknown redaction kinds are a 400", () => {
+  assert.throws(() => resolveRedaction("abn,ssn"), { status: 400 });
+});
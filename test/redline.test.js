@@ -0,0 +1,52 @@
+// test/redline.test.js (redline layout and tracked-changes DOCX in redline.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildRedline, redlineDocx, redlineHtml } from "../redline.js";
+import { readZip } from "../zip.js";
+
+const TEXT = [
+  "1 Liability",
+  "We may change these terms at any time",
+  "without notice to you.",
+  "2 Privacy",
+  "We may share your data with partners."
+].join("\n");
+
+const edit = (id, extra) => ({ id, action: "replace", anchor: { first: 1, last: 3 }, finding_title: "t", rationale: "r", ...extra });
+const segments = (redline, line) => redline.blocks.find(b => b.line === line).segments.map(s => [s.type, s.text]);
+
+test("a replacement deletes wording across a line break and inserts after it", () => {
+  const r = buildRedline(TEXT, [edit("E1", { original: "at any time without notice", text: "on 30 days' notice" })]);
+  assert.deepEqual(segments(r, 2), [["text", "We may change these terms "], ["del", "at any time"]]);
+  assert.deepEqual(segments(r, 3), [["del", "without notice"], ["ins", "on 30 days' notice"], ["text", " to you."]]);
+});
+
+test("overlapping or missing wording becomes an insertion after the clause", () => {
+  const r = buildRedline(TEXT, [
+    edit("E1", { original: "change these terms", text: "vary these terms" }),
+    edit("E2", { original: "these terms at any time", text: "x" }),
+    edit("E3", { original: "sell your data", text: "We won't sell your data.", anchor: { first: 4, last: 5 } })
+  ]);
+  assert.deepEqual(r.edits.map(e => e.action), ["replace", "insert", "insert"]);
+  assert.match(r.edits[1].note, /Overlaps/);
+  assert.match(r.edits[2].note, /no longer/);
+  const added = r.blocks.filter(b => b.line === null).map(b => b.segments[0].text);
+  assert.deepEqual(added, ["x", "We won't sell your data."]);
+  assert.equal(r.blocks.indexOf(r.blocks.find(b => b.segments[0].text === "x")), 3);
+});
+
+test("the DOCX carries tracked changes and a comment per edit", () => {
+  const r = buildRedline(TEXT, [edit("E1", { original: "without notice", text: "with <30> days' notice" })]);
+  const zip = readZip(redlineDocx(r, { generatedAt: "2024-05-01T00:00:00Z" }));
+  const doc = zip.get("word/document.xml")().toString("utf8");
+  assert.match(doc, /<w:del w:id="\d+" w:author="[^"]+" w:date="2024-05-01T00:00:00Z"><w:r><w:delText xml:space="preserve">without notice<\/w:delText>/);
+  assert.match(doc, /<w:ins [^>]+><w:r><w:t xml:space="preserve">with &lt;30&gt; days' notice<\/w:t>/);
+  assert.match(doc, /<w:commentRangeStart w:id="0"\/>.*<w:commentRangeEnd w:id="0"\/>/);
+  assert.match(zip.get("word/comments.xml")().toString("utf8"), /<w:comment w:id="0"[^>]*>.*E1 · t/);
+});
+
+test("the HTML escapes drafted text", () => {
+  const r = buildRedline(TEXT, [edit("E1", { original: "without notice", text: "<b>notice</b>" })]);
+  const html = redlineHtml(r, { title: "Terms" });
+  assert.match(html, /<ins>&lt;b&gt;notice&lt;\/b&gt;<\/ins><sup class="ref"><a href="#E1">E1<\/a><\/sup>/);
+});
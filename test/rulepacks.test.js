@@ -0,0 +1,13 @@
+// test/rulepacks.test.js (deterministic rule-pack checks in rulepacks.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolvePacks, runRules } from "../rulepacks.js";
+
+const TOS = { type: "terms_of_service", components: ["terms_of_service"] };
+const fired = (text, id) => runRules(resolvePacks("au"), text, TOS).some(f => f.rule_id === id);
+
+test("au.tos-variation needs a variation clause without notice", () => {
+  assert.equal(fired("These terms govern your use of the service. Either party may end the agreement.", "au.tos-variation"), false);
+  assert.equal(fired("We may change these terms at any time.", "au.tos-variation"), true);
+  assert.equal(fired("We may change these terms by giving you 30 days' notice by email.", "au.tos-variation"), false);
+});
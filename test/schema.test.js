@@ -0,0 +1,44 @@
+// test/schema.test.js (enum normalisation of model findings in schema.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateFindings } from "../schema.js";
+
+const statusOf = (status) => validateFindings([{ title: "t", theme: "privacy_app", severity: "high", status }]).valid[0].status;
+
+test("negated statuses are never read as disclosed", () => {
+  assert.equal(statusOf("Not compliant"), "non_compliant");
+  assert.equal(statusOf("not met"), "non_compliant");
+  assert.equal(statusOf("Non-compliant"), "non_compliant");
+  assert.equal(statusOf("No adequate safeguards"), "non_compliant");
+  assert.equal(statusOf("Not adequately disclosed"), "undisclosed");
+  assert.equal(statusOf("not disclosed"), "undisclosed");
+  assert.equal(statusOf("No mention"), "undisclosed");
+  assert.equal(statusOf("not fully disclosed"), "partial");
+});
+
+test("positive and synonym statuses normalise", () => {
+  assert.equal(statusOf("Disclosed"), "disclosed");
+  assert.equal(statusOf("compliant"), "disclosed");
+  assert.equal(statusOf("Requirement met"), "disclosed");
+  assert.equal(statusOf("OK"), "disclosed");
+  assert.equal(statusOf("Partially disclosed"), "partial");
+  assert.equal(statusOf("Missing"), "undisclosed");
+  assert.equal(statusOf("breach"), "non_compliant");
+});
+
+test("unclear statuses fall back to partial (or undisclosed when nothing was found), not disclosed", () => {
+  assert.equal(statusOf("metadata"), "partial");
+  assert.equal(statusOf("unknown"), "partial");
+  const [f] = validateFindings([{ title: "t", theme: "privacy_app", severity: "high", status: "??", evidence: "Not found" }]).valid;
+  assert.equal(f.status, "undisclosed");
+});
+
+test("themes and severities normalise; unplaceable findings are dropped", () => {
+  const { valid, dropped } = validateFindings([
+    { title: "a", theme: "Third-party sharing", severity: "Critical", status: "partial" },
+    { title: "b", theme: "astrology", severity: "high" }
+  ]);
+  assert.deepEqual([valid[0].theme, valid[0].severity], ["vendor_sharing", "high"]);
+  assert.equal(dropped.length, 1);
+  assert.match(dropped[0].errors[0], /theme/);
+});
@@ -0,0 +1,39 @@
+// test/scoring.test.js (penalties, soft floors and hard-fail caps in scoring.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { scoreFindings, resolveProfile } from "../scoring.js";
+
+const finding = (id, extra = {}) => ({ id, theme: "privacy_app", title: id, severity: "high", status: "partial", references: [], ...extra });
+
+test("each finding subtracts its severity penalty from its theme", () => {
+  const { scores, breakdown } = scoreFindings([finding("a"), finding("b", { severity: "low" }), finding("c", { theme: "astrology" })], "", "general-saas");
+  assert.equal(scores.privacy_app, 76);
+  assert.equal(scores.security_e8, 100);
+  assert.match(breakdown.findings[2].note, /not scored/);
+});
+
+test("a missing core disclosure caps the category and overall", () => {
+  const findings = [finding("a", { status: "undisclosed", references: ["APP 5"] })];
+  const { scores, breakdown } = scoreFindings(findings, "", "general-saas");
+  assert.equal(scores.privacy_app, 40);
+  assert.equal(scores.overall, 65);
+  assert.deepEqual(breakdown.caps[0].findings, ["a"]);
+  assert.equal(breakdown.overall.cap_applied, true);
+
+
+  // Six high findings take privacy to 0; the document's APP signals lift it to the soft floor
+  const many = Array.from({ length: 6 }, (_, i) => finding(`m${i}`, { status: "undisclosed", references: ["APP 1"] }));
+  const floored = scoreFindings(many, "We collect personal information and follow the Australian Privacy Principles.", "general-saas");
+  assert.deepEqual([floored.breakdown.categories.privacy_app.raw, floored.scores.privacy_app], [0, 20]);
+});
+
+test("a disclosed core reference doesn't trigger the cap", () => {
+  const { scores, breakdown } = scoreFindings([finding("a", { references: ["APP 5"] })], "", "general-saas");
+  assert.equal(scores.privacy_app, 80);
+  assert.equal(breakdown.caps[0].applied, false);
+  assert.equal(breakdown.overall.cap, null);
+});
+
+test("unknown profiles are a 400", () => {
+  assert.throws(() => resolveProfile("balanced"), { status: 400 });
+});
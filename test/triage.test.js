@@ -0,0 +1,47 @@
+// test/triage.test.js (statuses, waivers and waiver carry-over in triage.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applyTriage, carryOverWaivers, effectiveStatus, scoredFindings } from "../triage.js";
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+const finding = (id, title, extra = {}) => ({ id, theme: "privacy_app", title, severity: "high", status: "undisclosed", references: ["APP 11"], ...extra });
+const waived = (f, status = "false_positive", expires_at = "2027-01-01") =>
+  applyTriage(f, { status, waiver: { justification: "Reviewed by counsel", expires_at } }, { by: "sam", now: NOW });
+
+test("triaged findings drop out of scoring until their waiver expires", () => {
+  const open = finding("F1", "Retention & deletion");
+  const fp = waived(finding("F2", "Breach notification timelines"));
+  assert.deepEqual(scoredFindings([open, fp], NOW).map(f => f.id), ["F1"]);
+  assert.equal(effectiveStatus(fp, new Date("2027-06-01")), "open");
+});
+
+test("applyTriage rejects unknown statuses, past expiries and waivers on open findings", () => {
+  assert.throws(() => applyTriage(finding("F1", "x"), { status: "ignored" }, { now: NOW }), { status: 400 });
+  assert.throws(() => waived(finding("F1", "x"), "accepted_risk", "2025-01-01"), { status: 400 });
+  assert.throws(() => waived(finding("F1", "x"), "open"), { status: 400 });
+  const f = applyTriage(finding("F1", "x"), { waiver: { justification: "ok" }, comment: "noted" }, { by: "sam", now: NOW });
+  assert.equal(f.triage.status, "accepted_risk");
+  assert.deepEqual(f.triage.comments.map(c => c.text), ["noted"]);
+});
+
+test("a waiver carries over only to the finding with the same title, not others under the same reference", () => {
+  const previous = [{ id: "r1", report: { findings: [waived(finding("F-a", "Retention & deletion")), finding("F-b", "APP 11 security")] } }];
+  const next = [finding("N1", "Breach notification timelines"), finding("N2", "APP 11 security"), finding("N3", "Retention & deletion")];
+  assert.equal(carryOverWaivers(next, previous, NOW), 1);
+  assert.deepEqual(next.map(f => f.triage?.status ?? null), [null, null, "false_positive"]);
+  assert.deepEqual(next[2].triage.waiver.carried_from, { report_id: "r1", finding_id: "F-a" });
+});
+
+test("each waiver carries over to at most one finding, newest report first, and expired ones never", () => {
+  const previous = [
+    { id: "new", report: { findings: [waived(finding("F1", "Retention & deletion"), "accepted_risk")] } },
+    { id: "old", report: { findings: [waived(finding("F1", "Retention & deletion"))] } },
+    { id: "stale", report: { findings: [waived(finding("F9", "Audit rights"), "accepted_risk", "2026-06-01")] } }
+  ];
+  const next = [finding("N1", "Retention & deletion"), finding("N2", "Retention & deletion"), finding("N3", "Audit rights")];
+  assert.equal(carryOverWaivers(next, previous, new Date("2026-07-01")), 1);
+  assert.equal(next[0].triage.status, "accepted_risk");
+  assert.equal(next[0].triage.waiver.carried_from.report_id, "new");
+  assert.equal(next[1].triage, undefined);
+  assert.equal(next[2].triage, undefined);
+});
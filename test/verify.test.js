@@ -0,0 +1,57 @@
+// test/verify.test.js (evidence checks against the indexed source in verify.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex } from "../docindex.js";
+import { verifyEvidence } from "../verify.js";
+
+const index = buildIndex([
+  "1 Retention",
+  "We keep personal information for seven years after the account closes.",
+  "",
+  "2 Overseas disclosure",
+  "We store backups with a hosting provider in the United States."
+].join("\n"));
+
+const finding = (evidence, extra = {}) => ({ title: "t", theme: "privacy_app", status: "partial", confidence: 0.8, evidence, ...extra });
+
+test("a quote cited at the wrong line is moved to the line that holds it", () => {
+  const f = finding("[LINE 2] We store backups with a hosting provider in the United States");
+  const summary = verifyEvidence([f], index);
+  assert.equal(f.evidence_check, "corrected");
+  assert.equal(f.evidence, "[LINE 5] We store backups with a hosting provider in the United States");
+  assert.deepEqual([f.citations[0].line, f.citations[0].corrected_from, f.citations[0].verified], [5, 2, true]);
+  assert.equal(f.confidence, 0.72);
+  assert.deepEqual(summary, { checked: 1, verified: 1, corrected: 1, unverified: 0 });
+});
+
+test("a quote at the right line is verified and keeps its confidence", () => {
+  const f = finding("[LINE 2] We keep personal information for seven years");
+  verifyEvidence([f], index);
+  assert.equal(f.evidence_check, "verified");
+  assert.equal(f.confidence, 0.8);
+});
+
+test("a quote that isn't in the source is unverified and halves confidence", () => {
+  const f = finding("[LINE 2] We delete all data within 30 days of a request");
+  const summary = verifyEvidence([f], index);
+  assert.equal(f.evidence_check, "unverified");
+  assert.equal(f.evidence_verified, false);
+  assert.equal(f.confidence, 0.4);
+  assert.equal(summary.unverified, 1);
+});
+
+test("absence claims need no quote; other findings without one are flagged", () => {
+  const absent = finding("Not found in document", { status: "undisclosed" });
+  const bare = finding("The policy is vague about retention");
+  verifyEvidence([absent, bare], index);
+  assert.deepEqual([absent.evidence_check, absent.confidence], ["no_quote", 0.8]);
+  assert.deepEqual([bare.evidence_check, bare.confidence], ["no_citation", 0.4]);
+});
+
+test("findings already checked are skipped on a re-run", () => {
+  const f = finding("[LINE 2] We store backups with a hosting provider in the United States");
+  const summary = verifyEvidence([f], index);
+  verifyEvidence([f], index, summary);
+  assert.equal(summary.checked, 1);
+  assert.equal(f.confidence, 0.72);
+});
@@ -0,0 +1,136 @@
+// triage.js (reviewer triage of findings: status, comments, waivers with expiry; carried over between versions)
+import { findingKey } from "./diff.js";
+
+export const TRIAGE_STATUSES = ["open", "accepted_risk", "false_positive", "fixed"];
+const WAIVABLE = ["accepted_risk", "false_positive"];
+const MAX_COMMENT = 2000;
+
+/**
+ * Status that counts now: the reviewer's status, except that a finding whose waiver has
+ * expired is open again (until someone renews or removes the waiver).
+ */
+export function effectiveStatus(f, now = new Date()) {
+  const t = f?.triage;
+  if (!t) return "open";
+  if (t.waiver && waiverExpired(t.waiver, now)) return "open";
+  return t.status || "open";
+}
+
+/** Only open findings are scored; accepted risks, false positives and fixed items are not. */
+export function scoredFindings(findings, now = new Date()) {
+  return (findings || []).filter(f => effectiveStatus(f, now) === "open");
+}
+
+export function waiverExpired(waiver, now = new Date()) {
+  return Boolean(waiver?.expires_at) && Date.parse(waiver.expires_at) <= now.getTime();
+}
+
+/** Counts per effective status and waiver state, stamped with when they were computed. */
+export function triageSummary(findings, now = new Date()) {
+  const counts = Object.fromEntries(TRIAGE_STATUSES.map(s => [s, 0]));
+  const waivers = { active: 0, expired: 0, carried_over: 0 };
+  let nextExpiry = null;
+  for (const f of findings || []) {
+    counts[effectiveStatus(f, now)]++;
+    const w = f.triage?.waiver;
+    if (!w) continue;
+    if (waiverExpired(w, now)) { waivers.expired++; continue; }
+    waivers.active++;
+    if (w.carried_from) waivers.carried_over++;
+    if (w.expires_at && (!nextExpiry || w.expires_at < nextExpiry)) nextExpiry = w.expires_at;
+  }
+  return { counts, waivers, next_expiry: nextExpiry, scored_at: now.toISOString() };
+}
+
+/**
+ * Apply a reviewer's change to one finding (mutates it).
+ * @param {object} f finding
+ * @param {{status?: string, comment?: string, waiver?: {justification: string, expires_at?: string}|null}} patch
+ *   waiver: null removes the waiver. A waiver needs a justification and a future expiry (or none),
+ *   and applies to accepted risks and false positives: it sets accepted_risk unless the patch
+ *   (or the finding) already says false_positive.
+ * @param {{by?: string, now?: Date}} [who]
+ */
+export function applyTriage(f, patch = {}, { by = null, now = new Date() } = {}) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const { status, comment, waiver } = patch;
+  if (status === undefined && comment === undefined && waiver === undefined) {
+    throw bad("Nothing to change: send status, comment and/or waiver");
+  }
+  if (status !== undefined && !TRIAGE_STATUSES.includes(status)) {
+    throw bad(`Unknown triage status "${status}" (expected one of: ${TRIAGE_STATUSES.join(", ")})`);
+  }
+  const at = now.toISOString();
+  const t = f.triage || { status: "open", comments: [], history: [] };
+  const before = t.status;
+
+  if (status !== undefined) t.status = status;
+  if (waiver === null) {
+    delete t.waiver;
+    if (status === undefined && WAIVABLE.includes(t.status)) t.status = "open";
+  } else if (waiver !== undefined) {
+    const justification = String(waiver?.justification || "").trim();
+    if (!justification) throw bad("A waiver needs a justification");
+    let expires = null;
+    if (waiver.expires_at) {
+      const ms = Date.parse(waiver.expires_at);
+      if (Number.isNaN(ms)) throw bad(`Invalid waiver expiry "${waiver.expires_at}"`);
+      if (ms <= now.getTime()) throw bad("Waiver expiry must be in the future");
+      expires = new Date(ms).toISOString();
+    }
+    if (!WAIVABLE.includes(t.status)) {
+      if (status !== undefined) throw bad(`A waiver applies to ${WAIVABLE.join(" or ")} findings, not "${status}"`);
+      t.status = "accepted_risk";
+    }
+    t.waiver = { justification: justification.slice(0, MAX_COMMENT), expires_at: expires, by, created_at: at };
+  } else if (t.waiver && !WAIVABLE.includes(t.status)) {
+    delete t.waiver;   // re-opened or fixed: the waiver no longer applies
+  }
+
+  if (comment !== undefined) {
+    const text = String(comment || "").trim();
+    if (!text) throw bad("Comment is empty");
+    t.comments.push({ by, at, text: text.slice(0, MAX_COMMENT) });
+  }
+  if (t.status !== before) t.history.push({ from: before, to: t.status, by, at });
+  t.updated_at = at;
+  t.updated_by = by;
+  f.triage = t;
+  return f;
+}
+
+/**
+ * Copy active waivers (and the status they justify) from an earlier version's findings onto
+ * matching findings of a new report (same key as version compare: rule id, else theme +
+ * references + title). `previous` is newest first; the newest waiver for a key
+ * wins, and each waiver goes to at most one new finding.
+ * @returns {number} findings that received a waiver
+ */
+export function carryOverWaivers(findings, previous, now = new Date()) {
+  const waived = new Map();
+  for (const { id: reportId, report } of previous) {
+    for (const f of report?.findings || []) {
+      const w = f.triage?.waiver;
+      if (!w || waiverExpired(w, now) || !WAIVABLE.includes(f.triage.status)) continue;
+      const key = findingKey(f);
+      if (!waived.has(key)) waived.set(key, { status: f.triage.status, waiver: w, from: { report_id: reportId, finding_id: f.id } });
+    }
+  }
+  let carried = 0;
+  for (const f of findings) {
+    const key = findingKey(f);
+    const hit = !f.triage && waived.get(key);
+    if (!hit) continue;
+    waived.delete(key);
+    f.triage = {
+      status: hit.status,
+      comments: [],
+      history: [{ from: "open", to: hit.status, by: hit.waiver.by, at: now.toISOString(), carried_from: hit.from }],
+      waiver: { ...hit.waiver, carried_from: hit.from },
+      updated_at: now.toISOString(),
+      updated_by: hit.waiver.by
+    };
+    carried++;
+  }
+  return carried;
+}
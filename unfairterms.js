@@ -0,0 +1,130 @@
+// unfairterms.js (clause-level unfair contract terms analysis: ACL ss 23-25 for contract_fairness)
+import { stableId } from "./schema.js";
+import { appliesTo } from "./rulepacks.js";
+import { clausesOf, snippetOf } from "./docindex.js";
+
+const SNIPPET_CHARS = 220;   // quoted clause text per citation
+const MAX_CLAUSES = 4;       // citations per term; more hits add nothing to the finding
+const NEARBY_LINES = 1;      // a model citation this close to a flagged line is the same clause
+
+/**
+ * Scan each clause of the document for the packs' `unfair_terms` (standard-form
+ * contract terms such as unilateral variation or one-sided termination).
+ *
+ * A term is flagged when one of its `patterns` matches a line (or a line joined with
+ * the next, as extraction wraps sentences). Its `mitigations` are then looked for in the
+ * whole clause — the numbered section, or the paragraph when there are no sections —
+ * and a mitigated clause drops to `mitigated_severity` with status "partial".
+ *
+ * Returns one finding per term with `[LINE n]` evidence (so verifyEvidence can cite it)
+ * and an `unfair_term` block: category, factor, alternative, and the clauses it matched.
+ */
+export function detectUnfairTerms(index, packs, docType) {
+  const terms = packs.flatMap(p => (p.unfair_terms || []).filter(t => appliesTo(t, docType)));
+  if (!terms.length) return [];
+  const clauses = clausesOf(index);
+
+  const findings = [];
+  for (const term of terms) {
+    const hits = [];
+    for (const clause of clauses) {
+      const hit = matchClause(term, clause);
+      if (hit) hits.push(hit);
+      if (hits.length >= MAX_CLAUSES) break;
+    }
+    if (hits.length) findings.push(toFinding(term, hits));
+  }
+  return findings;
+}
+
+/**
+ * Fold detected terms into the findings list. A model finding on the same theme whose
+ * verified citation lands on the same clause is enriched (it keeps its own wording);
+ * otherwise the deterministic finding is added. Checklist findings a term `supersedes`
+ * (e.g. "no variation notice") are dropped so the same clause isn't penalised twice.
+ * @returns {object[]} the findings that were added
+ */
+export function mergeUnfairTerms(findings, detected) {
+  const superseded = new Set(detected.flatMap(d => d.unfair_term.supersedes));
+  for (let i = findings.length - 1; i >= 0; i--) {
+    if (findings[i].rule_id && superseded.has(findings[i].rule_id)) findings.splice(i, 1);
+  }
+
+  const added = [];
+  for (const d of detected) {
+    const { supersedes, ...term } = d.unfair_term;
+    const model = findings.find(f => f.theme === d.theme && !f.unfair_term && citesClause(f, term.clauses));
+    if (model) {
+      model.unfair_term = { ...term, source: "model" };
+      model.references = [...new Set([...(model.references || []), ...d.references])];
+      continue;
+    }
+    d.unfair_term = { ...term, source: "rules" };
+    findings.push(d);
+    added.push(d);
+  }
+  return added;
+}
+
+/* ---------------- Clauses ---------------- */
+function matchClause(term, clause) {
+  const rxs = term.patterns.map(p => new RegExp(p, "i"));
+  const { lines } = clause;
+  for (let i = 0; i < lines.length; i++) {
+    const single = lines[i].text.trim();
+    const next = lines[i + 1]?.text.trim();
+    const hit = (s) => s && rxs.some(rx => rx.test(s));
+    // Joined only when the sentence really straddles the break (not a heading above a matching line)
+    const text = hit(single) ? single : next && !hit(next) && hit(`${single} ${next}`) ? `${single} ${next}` : null;
+    if (!text) continue;
+
+    const mitigations = (term.mitigations || [])
+      .map(p => clause.text.match(new RegExp(p, "i")))
+      .filter(Boolean)
+      .map(m => m[0].trim().slice(0, 80));
+    return {
+      line: lines[i].n,
+      section: clause.section ? clause.section.path.join(" › ") : null,
+      clause: clause.section?.number || null,
+      snippet: snippetOf(text, SNIPPET_CHARS),
+      mitigations
+    };
+  }
+  return null;
+}
+
+function citesClause(f, clauses) {
+  return (f.citations || []).some(c => c.verified && c.line != null && clauses.some(h =>
+    Math.abs(h.line - c.line) <= NEARBY_LINES || (h.section && h.section === c.section)));
+}
+
+/* ---------------- Findings ---------------- */
+function toFinding(term, hits) {
+  const mitigated = hits.every(h => h.mitigations.length);
+  const title = `Potentially unfair term: ${term.title}`;
+  return {
+    id: stableId(term.theme, title),
+    theme: term.theme,
+    title,
+    status: mitigated ? "partial" : "non_compliant",
+    severity: mitigated ? term.mitigated_severity || term.severity : term.severity,
+    evidence: hits.map(h => `[LINE ${h.line}] ${h.snippet}`).join("\n"),
+    impact: mitigated
+      ? `${term.factor} Mitigated in part: ${[...new Set(hits.flatMap(h => h.mitigations))].map(m => `"${m}"`).join(", ")}.`
+      : term.factor,
+    recommendation: `Replace with a fairer term, for example: "${term.alternative}"`,
+    references: term.references || [],
+    confidence: term.confidence ?? 0.6,
+    rule_id: term.id,
+    rule_version: term.version,
+    unfair_term: {
+      category: term.id,
+      label: term.title,
+      factor: term.factor,
+      alternative: term.alternative,
+      mitigated,
+      clauses: hits,
+      supersedes: term.supersedes || []
+    }
+  };
+}
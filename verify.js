@@ -0,0 +1,151 @@
+// verify.js (checks LLM-cited evidence against the indexed source text)
+import { citationAt, citationsFromEvidence } from "./docindex.js";
+
+const MATCH_THRESHOLD = 0.8;   // share of snippet words found, in order, in the source window
+const MAX_SPAN = 3;            // quotes may straddle extracted line breaks
+const UNVERIFIED_CONFIDENCE_FACTOR = 0.5;
+const CORRECTED_CONFIDENCE_FACTOR = 0.9;
+
+/**
+ * Attach citations to every finding and verify each quoted snippet.
+ * Wrong line numbers are corrected in place (citation + evidence string);
+ * quotes that can't be found anywhere mark the finding unverified and
+ * lower its confidence.
+ *
+ * Adds to each finding:
+ *   citations[].verified / .match_score / .corrected_from
+ *   evidence_verified: boolean
+ *   evidence_check: "verified" | "corrected" | "unverified" | "no_quote" | "no_citation"
+ *
+ * Findings that already carry an `evidence_check` are skipped, so the pass can
+ * be re-run after more findings are added; pass the earlier summary to keep counting.
+ *
+ * @returns {{checked:number, verified:number, corrected:number, unverified:number}}
+ */
+export function verifyEvidence(findings, index, summary = { checked: 0, verified: 0, corrected: 0, unverified: 0 }) {
+  const lines = index.lines.map(l => normalize(l.text));
+
+  for (const f of findings) {
+    if (f.evidence_check) continue;
+    let citations = citationsFromEvidence(f.evidence, index);
+    if (!citations.length) citations = quotedSnippets(f.evidence).map(s => ({ line: null, snippet: s }));
+
+    if (!citations.length) {
+      // Absence claims ("not found") have nothing to quote; anything else should have cited the text
+      f.citations = [];
+      f.evidence_verified = isAbsenceClaim(f);
+      f.evidence_check = f.evidence_verified ? "no_quote" : "no_citation";
+      if (!f.evidence_verified) lowerConfidence(f, UNVERIFIED_CONFIDENCE_FACTOR);
+      continue;
+    }
+
+    let corrected = false;
+    f.citations = citations.map(c => {
+      summary.checked++;
+      const snippet = normalize(c.snippet);
+      const atCited = c.line ? matchAt(lines, c.line - 1, snippet) : 0;
+      if (atCited >= MATCH_THRESHOLD) return { ...c, verified: true, match_score: round(atCited) };
+
+      const best = bestMatch(lines, snippet);
+      if (best.score >= MATCH_THRESHOLD) {
+        if (c.line) corrected = true;
+        return relocate(f, c, best.start + 1, best.score, index);
+      }
+      return { ...c, verified: false, match_score: round(Math.max(atCited, best.score)) };
+    });
+
+    const unverified = f.citations.filter(c => !c.verified).length;
+    summary.unverified += unverified;
+    summary.corrected += f.citations.filter(c => c.corrected_from !== undefined).length;
+    summary.verified += f.citations.length - unverified;
+
+    f.evidence_verified = unverified === 0;
+    f.evidence_check = !f.evidence_verified ? "unverified" : corrected ? "corrected" : "verified";
+    if (!f.evidence_verified) lowerConfidence(f, UNVERIFIED_CONFIDENCE_FACTOR);
+    else if (corrected) lowerConfidence(f, CORRECTED_CONFIDENCE_FACTOR);
+  }
+  return summary;
+}
+
+/* ---------------- Matching ---------------- */
+function normalize(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[“”"‘’'`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Fuzzy score in [0,1]: exact containment is 1, otherwise the share of
+ * snippet words that appear in order in the window (tolerates ellipses,
+ * dropped words and hyphenation differences).
+ */
+function score(snippet, window) {
+  if (!snippet) return 0;
+  if (window.includes(snippet)) return 1;
+  const want = snippet.split(" ");
+  const have = window.split(" ");
+  let j = 0, hit = 0;
+  for (const w of want) {
+    const k = have.indexOf(w, j);
+    if (k >= 0) { hit++; j = k + 1; }
+  }
+  return hit / want.length;
+}
+
+// Best score over windows that include the cited line (a quote may start a line early)
+function matchAt(lines, i, snippet) {
+  if (i < 0 || i >= lines.length) return 0;
+  let best = 0;
+  for (const from of [i, i - 1]) {
+    if (from < 0) continue;
+    for (let span = from === i ? 1 : 2; span <= MAX_SPAN && from + span <= lines.length; span++) {
+      best = Math.max(best, score(snippet, lines.slice(from, from + span).join(" ")));
+      if (best === 1) return best;
+    }
+  }
+  return best;
+}
+
+// Whole-document search; narrower windows are tried first so the match lands on the quoting line
+function bestMatch(lines, snippet) {
+  let best = { score: 0, start: -1 };
+  for (let span = 1; span <= MAX_SPAN; span++) {
+    for (let i = 0; i + span <= lines.length; i++) {
+      if (!lines[i]) continue;
+      const s = score(snippet, lines.slice(i, i + span).join(" "));
+      if (s > best.score) best = { score: s, start: i };
+      if (s === 1) return best;
+    }
+  }
+  return best;
+}
+
+/* ---------------- Helpers ---------------- */
+function relocate(f, c, lineNo, matchScore, index) {
+  const fixed = { ...citationAt(index, lineNo, c.snippet), verified: true, match_score: round(matchScore) };
+  if (c.line && c.line !== lineNo) {
+    fixed.corrected_from = c.line;
+    f.evidence = String(f.evidence).replace(new RegExp(`\\[LINE\\s*${c.line}\\]`), `[LINE ${lineNo}]`);
+  }
+  return fixed;
+}
+
+function quotedSnippets(evidence) {
+  const out = [];
+  for (const m of String(evidence || "").matchAll(/["“]([^"”]{12,})["”]/g)) out.push(m[1]);
+  return out;
+}
+
+function isAbsenceClaim(f) {
+  return (f.status || "").toLowerCase() === "undisclosed" ||
+    /^\s*(not found|n\/a|none)\b|not (clearly )?(present|described|detected|found|disclosed)/i.test(f.evidence || "");
+}
+
+function lowerConfidence(f, factor) {
+  const c = Number(f.confidence);
+  f.confidence = round((Number.isFinite(c) ? c : 0.5) * factor);
+}
+
+function round(n) { return Math.round(n * 100) / 100; }
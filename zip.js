@@ -0,0 +1,134 @@
+// zip.js (minimal ZIP reader/writer for OOXML containers; stored + deflate entries only)
+import zlib from "zlib";
+
+const EOCD_SIG = 0x06054b50;
+const CEN_SIG = 0x02014b50;
+const LOC_SIG = 0x04034b50;
+
+/** True when the buffer starts with a local file header ("PK\x03\x04"). */
+export function isZip(buf) {
+  return buf.length >= 4 && buf.readUInt32LE(0) === LOC_SIG;
+}
+
+/**
+ * Read the central directory of a ZIP archive.
+ * @returns {Map<string, () => Buffer>} entry name → lazy extractor
+ */
+export function readZip(data) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+  // End-of-central-directory sits in the last 22 bytes + up to 64KB of comment
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Corrupt ZIP: end of central directory not found");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== CEN_SIG) throw new Error("Corrupt ZIP: bad central directory entry");
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    entries.set(name, () => {
+      if (buf.readUInt32LE(localOffset) !== LOC_SIG) throw new Error(`Corrupt ZIP: bad local header for ${name}`);
+      const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+      const raw = buf.subarray(start, start + compressedSize);
+      if (method === 0) return Buffer.from(raw);
+      if (method === 8) return zlib.inflateRawSync(raw);
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    });
+  }
+  return entries;
+}
+
+/**
+ * Build a ZIP archive (every entry deflated, names UTF-8).
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @param {{date?: Date}} [opts] modification time stamped on every entry
+ * @returns {Buffer}
+ */
+export function writeZip(files, { date = new Date() } = {}) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), "utf8");
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOC_SIG, 0);
+    local.writeUInt16LE(20, 4);        // version needed
+    local.writeUInt16LE(0x0800, 6);    // UTF-8 names
+    local.writeUInt16LE(8, 8);         // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, packed);
+
+    const cen = Buffer.alloc(46);
+    cen.writeUInt32LE(CEN_SIG, 0);
+    cen.writeUInt16LE(20, 4);          // version made by
+    cen.writeUInt16LE(20, 6);
+    cen.writeUInt16LE(0x0800, 8);
+    cen.writeUInt16LE(8, 10);
+    cen.writeUInt16LE(time, 12);
+    cen.writeUInt16LE(day, 14);
+    cen.writeUInt32LE(crc, 16);
+    cen.writeUInt32LE(packed.length, 20);
+    cen.writeUInt32LE(data.length, 24);
+    cen.writeUInt16LE(name.length, 28);
+    cen.writeUInt32LE(offset, 42);
+    central.push(cen, name);
+
+    offset += local.length + name.length + packed.length;
+  }
+
+  const cenSize = central.reduce((n, b) => n + b.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIG, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cenSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...central, eocd]);
+}
+
+function dosDateTime(d) {
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    day: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+let CRC_TABLE = null;
+function crc32(buf) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}